@@ -6,6 +6,8 @@ export const PORT = parseInt(process.env.PORT) || 7000;
 export const API_PORT = PORT + 1;
 export const APP_HOST = process.env.APP_HOST || `http://127.0.0.1:${API_PORT}`;
 export const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+// 'text' (colorized lines) or 'json' (one object per line, with request fields)
+export const LOG_FORMAT = (process.env.LOG_FORMAT || 'text').toLowerCase();
 
 export const ADDON_ID = 'org.stremio.realdebrid.bitmagnet';
 export const ADDON_NAME = 'Bitmagnet RD';
@@ -16,6 +18,8 @@ export const REALDEBRID_API_KEY = process.env.REALDEBRID_API_KEY;
 export const TMDB_API_KEY = process.env.TMDB_API_KEY;
 export const BITMAGNET_GRAPHQL_ENDPOINT = process.env.BITMAGNET_GRAPHQL_ENDPOINT;
 export const DATABASE_URL = process.env.DATABASE_URL;
+// Apply pending schema migrations on startup; 'false' only checks and refuses to start if any are pending.
+export const AUTO_MIGRATE = process.env.AUTO_MIGRATE !== 'false';
 
 // Optional Fallback API Keys (Tier 2)
 export const OMDB_API_KEY = process.env.OMDB_API_KEY; // Optional
@@ -27,6 +31,43 @@ export const PREFERRED_LANGUAGES = langs ? langs.split(',').map(l => l.trim()) :
 export const SIMILARITY_THRESHOLD = parseFloat(process.env.SIMILARITY_THRESHOLD) || 0.75;
 export const STRICT_LANGUAGE_FILTER = process.env.STRICT_LANGUAGE_FILTER === 'true';
 export const STREAM_LIMIT_PER_QUALITY = parseInt(process.env.STREAM_LIMIT_PER_QUALITY) || 2;
+// JSON file mapping IMDb ids of absolute-numbered anime to their episodes per season
+// ({ "tt0388629": [61, 16, 14] }); overrides TMDB season sizes for the listed shows.
+export const ABSOLUTE_EPISODE_MAP_PATH = process.env.ABSOLUTE_EPISODE_MAP_PATH || null;
+
+// ================== Per-User Config Sealing ==================
+// Secret used to encrypt per-user config (incl. debrid keys) embedded in URLs.
+// Rotate by moving the old value into CONFIG_SECRET_PREVIOUS (comma separated).
+export const CONFIG_SECRET = process.env.CONFIG_SECRET || null;
+export const CONFIG_SECRET_PREVIOUS = (process.env.CONFIG_SECRET_PREVIOUS || '').split(',').map(s => s.trim()).filter(Boolean);
+export const STREAM_URL_TTL_HOURS = parseInt(process.env.STREAM_URL_TTL_HOURS) || 48;
+// Migration window only: accept plain (unsealed) config segments from installs made
+// before CONFIG_SECRET was set. Anyone can forge those, so leave it off afterwards.
+export const ACCEPT_UNSEALED_CONFIG = process.env.ACCEPT_UNSEALED_CONFIG === 'true';
+// Lets installs that pick a debrid service without their own API key use the server's
+// key for it. Off by default: every such user would spend the operator's account.
+export const ALLOW_SERVER_KEY_FALLBACK = process.env.ALLOW_SERVER_KEY_FALLBACK === 'true';
+
+// ================== Playback ==================
+// How long a resolved debrid download URL is reused for the same stream.
+export const RESOLVED_URL_TTL_MINUTES = parseInt(process.env.RESOLVED_URL_TTL_MINUTES) || 60;
+// After a series stream resolves, resolve the next episode in the background.
+export const PREFETCH_NEXT_EPISODE = process.env.PREFETCH_NEXT_EPISODE !== 'false';
+// A click that isn't ready within this many seconds gets the "preparing" placeholder while the debrid job continues.
+export const PREPARING_GRACE_SECONDS = parseInt(process.env.PREPARING_GRACE_SECONDS) || 10;
+// Local clip played instead of the generated progress clip while a torrent downloads on the debrid service.
+export const PREPARING_VIDEO_PATH = process.env.PREPARING_VIDEO_PATH || '';
+
+// ================== Cache Maintenance ==================
+// Periodically drop torrents rows and debrid cache entries unused for TORRENT_CACHE_MAX_AGE_DAYS,
+// and evict ones whose torrent the provider has deleted.
+export const CACHE_GC_ENABLED = process.env.CACHE_GC_ENABLED !== 'false';
+export const CACHE_GC_INTERVAL_MINUTES = parseInt(process.env.CACHE_GC_INTERVAL_MINUTES) || 60;
+export const TORRENT_CACHE_MAX_AGE_DAYS = parseInt(process.env.TORRENT_CACHE_MAX_AGE_DAYS) || 30;
+
+// ================== Admin ==================
+// Bearer token for the /admin dashboard and JSON API on the API server; unset disables them.
+export const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
 
 // ================== Modular Debrid Configuration ==================
 export const DEBRID_SERVICE = (process.env.DEBRID_SERVICE || '').toLowerCase() || null;
@@ -37,12 +78,22 @@ export const TORBOX_MAX_ACTIVE_TORRENTS = parseInt(process.env.TORBOX_MAX_ACTIVE
 
 export const REALDEBRID_ENABLED = !!REALDEBRID_API_KEY;
 
-// Auto‑detect debrid service if not explicitly set
-export let debridService = DEBRID_SERVICE;
-if (!debridService) {
-  if (REALDEBRID_ENABLED) debridService = 'realdebrid';
-  else if (TORBOX_ENABLED) debridService = 'torbox';
-}
+export const ALLDEBRID_API_KEY = process.env.ALLDEBRID_API_KEY || null;
+export const ALLDEBRID_AGENT = process.env.ALLDEBRID_AGENT || 'stremio-bitgraph';
+export const ALLDEBRID_ENABLED = !!ALLDEBRID_API_KEY;
+
+export const PREMIUMIZE_API_KEY = process.env.PREMIUMIZE_API_KEY || null;
+export const PREMIUMIZE_ENABLED = !!PREMIUMIZE_API_KEY;
+
+// DEBRID_SERVICE may list several providers ("realdebrid,torbox") to run them side by side.
+// Auto‑detect every provider with a key if not explicitly set.
+export const DEBRID_SERVICES = DEBRID_SERVICE
+  ? DEBRID_SERVICE.split(',').map(s => s.trim()).filter(Boolean)
+  : [REALDEBRID_ENABLED && 'realdebrid', TORBOX_ENABLED && 'torbox', ALLDEBRID_ENABLED && 'alldebrid', PREMIUMIZE_ENABLED && 'premiumize']
+      .filter(Boolean);
+
+// Primary (first) service, kept for single-provider callers
+export let debridService = DEBRID_SERVICES[0] || null;
 
 // Stable alias for use in queries
 export const DEBRID_PROVIDER = debridService;
@@ -56,11 +107,23 @@ if (!TMDB_API_KEY) missing.push('TMDB_API_KEY');
 if (!BITMAGNET_GRAPHQL_ENDPOINT) missing.push('BITMAGNET_GRAPHQL_ENDPOINT');
 if (!DATABASE_URL) missing.push('DATABASE_URL');
 
-if (debridService === 'realdebrid' && !REALDEBRID_API_KEY) {
-  console.warn('DEBRID_SERVICE set to realdebrid but REALDEBRID_API_KEY is missing. Falling back to P2P only.');
+if (DEBRID_SERVICES.includes('realdebrid') && !REALDEBRID_API_KEY) {
+  console.warn('DEBRID_SERVICE set to realdebrid but REALDEBRID_API_KEY is missing. Real-Debrid streams are disabled.');
+}
+if (DEBRID_SERVICES.includes('torbox') && !TORBOX_API_KEY) {
+  console.warn('DEBRID_SERVICE set to torbox but TORBOX_API_KEY is missing. TorBox streams are disabled.');
 }
-if (debridService === 'torbox' && !TORBOX_API_KEY) {
-  console.warn('DEBRID_SERVICE set to torbox but TORBOX_API_KEY is missing. Falling back to P2P only.');
+if (DEBRID_SERVICES.includes('alldebrid') && !ALLDEBRID_API_KEY) {
+  console.warn('DEBRID_SERVICE set to alldebrid but ALLDEBRID_API_KEY is missing. AllDebrid streams are disabled.');
+}
+if (DEBRID_SERVICES.includes('premiumize') && !PREMIUMIZE_API_KEY) {
+  console.warn('DEBRID_SERVICE set to premiumize but PREMIUMIZE_API_KEY is missing. Premiumize streams are disabled.');
+}
+
+if (!CONFIG_SECRET) {
+  console.warn('CONFIG_SECRET is not set. Per-user configs (including debrid keys) will be embedded in URLs unencrypted.');
+} else if (ACCEPT_UNSEALED_CONFIG) {
+  console.warn('ACCEPT_UNSEALED_CONFIG=true: unsealed config segments are accepted. Turn it off once users have reinstalled.');
 }
 
 if (missing.length) {
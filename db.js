@@ -1,96 +1,131 @@
-import pg from 'pg';
-import { DATABASE_URL } from './config.js';
+import { DATABASE_URL, AUTO_MIGRATE, DEBRID_CACHE_TABLE } from './config.js';
 import { logger } from './src/utils.js';
+import { createStorage } from './src/storage/index.js';
+import { migrateUp, assertSchemaCurrent, SchemaVersionError } from './db/migrator.js';
 
-const { Pool } = pg;
+// PostgreSQL, or SQLite when DATABASE_URL is a sqlite: path (src/storage)
+export const storage = createStorage(DATABASE_URL, { cacheTable: DEBRID_CACHE_TABLE });
 
-export const pool = new Pool({
-    connectionString: DATABASE_URL,
-});
+// ── Degraded mode ───────────────────────────────────────────────
+// When the database is unreachable the addon keeps serving without it (no DB cache
+// reads or writes, no shared resolve lock) and reconnects in the background.
+const RETRY_MIN_MS = 2000;
+const RETRY_MAX_MS = 60 * 1000;
+
+const dbState = {
+    available: false,
+    state: 'connecting',          // connecting | connected | degraded
+    since: new Date(),
+    lastError: null,
+    retryInMs: RETRY_MIN_MS,
+    nextRetryAt: null,
+};
+let retryTimer = null;
+
+const CONNECTION_ERROR_CODES = new Set([
+    'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'EPIPE',
+    '57P01', '57P02', '57P03', '53300',    // admin/crash shutdown, cannot connect now, too many connections
+    'SQLITE_CANTOPEN',                     // SQLite file or directory not accessible
+]);
 
-// ── New schema – provider-aware, generic column name ────────────
-const CREATE_TABLE_QUERY = `
-CREATE TABLE IF NOT EXISTS torrents (
-    id SERIAL PRIMARY KEY,
-    infohash TEXT NOT NULL,
-    tmdb_id TEXT NOT NULL,
-    content_type TEXT NOT NULL,
-    provider TEXT NOT NULL DEFAULT 'realdebrid',          -- new column
-    torrent_info_json JSONB,                              -- renamed from rd_torrent_info_json
-    language TEXT NOT NULL,
-    quality TEXT,
-    seeders INTEGER,
-    added_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-    last_used_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-    CONSTRAINT torrents_infohash_tmdb_id_content_type_provider_key
-        UNIQUE (infohash, tmdb_id, content_type, provider)
-);
-`;
+/** True while the database is reachable; callers skip DB work otherwise. */
+export function isDbAvailable() {
+    return dbState.available;
+}
 
-// ── Generic debrid cache table ────────────────────────────────
-const CREATE_DEBRID_CACHE_TABLE = `
-CREATE TABLE IF NOT EXISTS debrid_cache (
-    id SERIAL PRIMARY KEY,
-    provider TEXT NOT NULL,
-    hash TEXT NOT NULL,
-    provider_torrent_id TEXT,
-    status TEXT DEFAULT 'active',
-    data JSONB DEFAULT '{}',
-    created_at TIMESTAMPTZ DEFAULT NOW(),
-    updated_at TIMESTAMPTZ DEFAULT NOW(),
-    UNIQUE(provider, hash)
-);
-CREATE INDEX IF NOT EXISTS idx_debrid_cache_hash ON debrid_cache(hash);
-`;
+/** Connection state for /health and logs. */
+export function getDbStatus() {
+    return {
+        state: dbState.state,
+        since: dbState.since.toISOString(),
+        lastError: dbState.lastError,
+        nextRetryAt: dbState.nextRetryAt?.toISOString() ?? null,
+    };
+}
 
-// ── Idempotent alterations for existing databases ──────────────
-const IDEMPOTENT_MIGRATION = `
--- 1. Add provider column if it doesn't exist
-ALTER TABLE torrents ADD COLUMN IF NOT EXISTS provider TEXT NOT NULL DEFAULT 'realdebrid';
+/**
+ * Whether an error means the database is unreachable (as opposed to a bad query).
+ * HTTP client errors from debrid APIs share some codes, so they are excluded.
+ */
+export function isConnectionError(err) {
+    if (!err || err.isAxiosError) return false;
+    const code = String(err.code || '');
+    if (CONNECTION_ERROR_CODES.has(code) || code.startsWith('08') || code.startsWith('SQLITE_IOERR')) return true;
+    return /Connection terminated|timeout exceeded when trying to connect/i.test(err.message || '');
+}
 
--- 2. Rename old info column to generic name (only if the old name exists)
-DO $$
-BEGIN
-    IF EXISTS (
-        SELECT 1 FROM information_schema.columns
-        WHERE table_name='torrents' AND column_name='rd_torrent_info_json'
-    ) THEN
-        ALTER TABLE torrents RENAME COLUMN rd_torrent_info_json TO torrent_info_json;
-    END IF;
-END $$;
+function scheduleReconnect() {
+    if (retryTimer) return;
+    const delay = dbState.retryInMs;
+    dbState.nextRetryAt = new Date(Date.now() + delay);
+    retryTimer = setTimeout(async () => {
+        retryTimer = null;
+        dbState.nextRetryAt = null;
+        logger.info('[DB] Retrying database connection...');
+        await initDb();
+    }, delay);
+    retryTimer.unref();
+    dbState.retryInMs = Math.min(delay * 2, RETRY_MAX_MS);
+}
 
--- 3. Drop the old unique constraint if it still exists
-ALTER TABLE torrents DROP CONSTRAINT IF EXISTS unique_torrent_source;
+function markDegraded(err) {
+    dbState.lastError = err.message;
+    if (dbState.state !== 'degraded') {
+        dbState.state = 'degraded';
+        dbState.since = new Date();
+        logger.error(`[DB] Database unavailable (${err.message}). Running in degraded mode: no DB cache, P2P and uncached debrid only.`);
+    }
+    dbState.available = false;
+    scheduleReconnect();
+}
+
+function markConnected() {
+    if (dbState.state === 'degraded') {
+        logger.info(`[DB] Database connection restored after ${Math.round((Date.now() - dbState.since) / 1000)}s in degraded mode.`);
+    }
+    Object.assign(dbState, {
+        available: true, state: 'connected', since: new Date(), lastError: null, retryInMs: RETRY_MIN_MS,
+    });
+}
 
--- 4. Add the new provider‑aware unique constraint (if not already present)
-DO $$
-BEGIN
-    IF NOT EXISTS (
-        SELECT 1 FROM pg_constraint
-        WHERE conname = 'torrents_infohash_tmdb_id_content_type_provider_key'
-    ) THEN
-        ALTER TABLE torrents ADD CONSTRAINT torrents_infohash_tmdb_id_content_type_provider_key
-            UNIQUE (infohash, tmdb_id, content_type, provider);
-    END IF;
-END $$;
-`;
+/**
+ * Switches to degraded mode if `err` means the database is unreachable.
+ * @returns {boolean} True if the error was a connection error.
+ */
+export function reportDbError(err) {
+    if (!isConnectionError(err)) return false;
+    markDegraded(err);
+    return true;
+}
 
+// Applies pending migrations (db/migrations) or, with AUTO_MIGRATE=false, only checks
+// that the schema is current. A schema this build can't run against stops the process:
+// serving degraded would hide it, and retrying can't fix it.
 export const initDb = async () => {
     try {
-        // 1. Create or update torrents table
-        await pool.query(CREATE_TABLE_QUERY);
-        // 2. Create debrid_cache table
-        await pool.query(CREATE_DEBRID_CACHE_TABLE);
-        // 3. Apply idempotent migration (safe to run on any state)
-        await pool.query(IDEMPOTENT_MIGRATION);
+        if (AUTO_MIGRATE) {
+            const applied = await migrateUp(storage, { log: message => logger.info(message) });
+            if (applied.length) logger.info(`[DB] Applied migrations ${applied.join(', ')}.`);
+        } else {
+            await assertSchemaCurrent(storage);
+        }
         logger.info('Database initialized and migrated successfully.');
+        markConnected();
+        return true;
     } catch (err) {
-        logger.error('Error initializing database:', err);
-        process.exit(1);
+        if (err instanceof SchemaVersionError) {
+            logger.error(`[DB] ${err.message}`);
+            process.exit(1);
+        }
+        logger.error(`Error initializing database: ${err.message}`);
+        markDegraded(err);
+        return false;
     }
 };
 
-pool.on('error', (err, client) => {
-    logger.error('Unexpected error on idle client', err);
-    process.exit(-1);
+// An idle client lost its connection (e.g. Postgres restarted). The pool replaces
+// it on the next query; a reconnect check confirms whether the database is back.
+storage.onError((err) => {
+    logger.error(`[DB] Unexpected error on idle client: ${err.message}`);
+    markDegraded(err);
 });
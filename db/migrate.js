@@ -0,0 +1,76 @@
+// File: db/migrate.js
+// Version: 1.2 – Needs only DATABASE_URL; up honours --steps
+//
+// Usage:
+//   node db/migrate.js [up] [--to N]          apply pending migrations (up to version N)
+//   node db/migrate.js up --steps N           apply the next N pending migrations
+//   node db/migrate.js status                 list applied and pending migrations
+//   node db/migrate.js rollback [--steps N]   revert the last N migrations (default 1)
+//   node db/migrate.js rollback --to N        revert every migration above version N
+
+// Only DATABASE_URL is read (also from .env): the app config and its required
+// variables are not loaded, so migrations run with just the database at hand.
+import dotenv from 'dotenv';
+import { createStorage } from '../src/storage/index.js';
+import { migrateUp, migrateDown, getMigrationStatus } from './migrator.js';
+
+dotenv.config();
+
+function parseArgs(argv) {
+    const [command = 'up', ...rest] = argv;
+    const options = {};
+    for (let i = 0; i < rest.length; i++) {
+        const flag = rest[i];
+        if (flag !== '--to' && flag !== '--steps') throw new Error(`Unknown option '${flag}'.`);
+        const value = parseInt(rest[++i], 10);
+        if (!Number.isInteger(value) || value < 0) throw new Error(`${flag} needs a non-negative number.`);
+        options[flag.slice(2)] = value;
+    }
+    return { command, options };
+}
+
+async function printStatus(storage) {
+    const { current, latest, applied, pending, unknown } = await getMigrationStatus(storage);
+    console.log(`Schema version: ${current} (latest known: ${latest})`);
+    for (const row of applied) {
+        const flag = unknown.includes(row) ? '  (no file in this build)' : '';
+        console.log(`  [x] ${String(row.version).padStart(3, '0')}_${row.name}  ${new Date(row.applied_at).toISOString()}${flag}`);
+    }
+    for (const m of pending) {
+        console.log(`  [ ] ${String(m.version).padStart(3, '0')}_${m.name}`);
+    }
+}
+
+async function main(storage, { command, options }) {
+    const log = message => console.log(message);
+    switch (command) {
+        case 'up': {
+            const done = await migrateUp(storage, { ...options, log });
+            log(done.length ? `[MIGRATE] Applied ${done.join(', ')}.` : '[MIGRATE] Schema is up to date.');
+            break;
+        }
+        case 'rollback': {
+            const done = await migrateDown(storage, { ...options, log });
+            log(done.length ? `[MIGRATE] Reverted ${done.join(', ')}.` : '[MIGRATE] Nothing to roll back.');
+            break;
+        }
+        case 'status':
+            await printStatus(storage);
+            break;
+        default:
+            throw new Error(`Unknown command '${command}'. Use up, status or rollback.`);
+    }
+}
+
+let storage = null;
+try {
+    const args = parseArgs(process.argv.slice(2));
+    if (!process.env.DATABASE_URL) throw new Error('DATABASE_URL is not set.');
+    storage = createStorage(process.env.DATABASE_URL);
+    await main(storage, args);
+    await storage.close();
+} catch (err) {
+    console.error(`[MIGRATE] ${err.message}`);
+    await storage?.close().catch(() => {});
+    process.exit(1);
+}
@@ -0,0 +1,30 @@
+// File: db/migrations/002_resolve_jobs.js
+// Shared resolve lock and resolved-URL cache (src/debrid/resolveJobs.js).
+
+export const up = `
+CREATE TABLE IF NOT EXISTS resolve_jobs (
+    lock_key TEXT PRIMARY KEY,                            -- providerKey:infoHash
+    state TEXT NOT NULL,                                  -- PROCESSING | COMPLETED | FAILED
+    owner TEXT,                                           -- hostname:pid of the replica doing the work
+    torrent_info_json JSONB,
+    progress INTEGER DEFAULT 0,                           -- provider download progress (0-100)
+    error TEXT,
+    expires_at TIMESTAMPTZ NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+-- Databases created before progress tracking
+ALTER TABLE resolve_jobs ADD COLUMN IF NOT EXISTS progress INTEGER DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS resolved_urls (
+    lock_key TEXT NOT NULL,                               -- providerKey:infoHash
+    stream_id TEXT NOT NULL,                              -- type:id the URL plays
+    download_url TEXT NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    PRIMARY KEY (lock_key, stream_id)
+);
+`;
+
+export const down = `
+DROP TABLE IF EXISTS resolved_urls;
+DROP TABLE IF EXISTS resolve_jobs;
+`;
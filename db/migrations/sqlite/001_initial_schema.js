@@ -0,0 +1,41 @@
+// File: db/migrations/sqlite/001_initial_schema.js
+// torrents and debrid_cache for SQLite (src/storage/sqlite.js). Same tables as
+// ../001_initial_schema.js; SQLite databases never had the old single-provider
+// layout, so there is nothing to upgrade in place.
+
+const NOW = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+export const up = `
+CREATE TABLE IF NOT EXISTS torrents (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    infohash TEXT NOT NULL,
+    tmdb_id TEXT NOT NULL,
+    content_type TEXT NOT NULL,
+    provider TEXT NOT NULL DEFAULT 'realdebrid',
+    torrent_info_json TEXT,
+    language TEXT NOT NULL,
+    quality TEXT,
+    seeders INTEGER,
+    added_at TEXT DEFAULT ${NOW},
+    last_used_at TEXT DEFAULT ${NOW},
+    UNIQUE (infohash, tmdb_id, content_type, provider)
+);
+
+CREATE TABLE IF NOT EXISTS debrid_cache (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    provider TEXT NOT NULL,
+    hash TEXT NOT NULL,
+    provider_torrent_id TEXT,
+    status TEXT DEFAULT 'active',
+    data TEXT DEFAULT '{}',
+    created_at TEXT DEFAULT ${NOW},
+    updated_at TEXT DEFAULT ${NOW},
+    UNIQUE(provider, hash)
+);
+CREATE INDEX IF NOT EXISTS idx_debrid_cache_hash ON debrid_cache(hash);
+`;
+
+export const down = `
+DROP TABLE IF EXISTS debrid_cache;
+DROP TABLE IF EXISTS torrents;
+`;
@@ -0,0 +1,31 @@
+// File: db/migrations/sqlite/002_resolve_jobs.js
+// Shared resolve lock and resolved-URL cache for SQLite. Same tables as
+// ../002_resolve_jobs.js, with ISO-8601 text timestamps.
+
+const NOW = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+export const up = `
+CREATE TABLE IF NOT EXISTS resolve_jobs (
+    lock_key TEXT PRIMARY KEY,
+    state TEXT NOT NULL,
+    owner TEXT,
+    torrent_info_json TEXT,
+    progress INTEGER DEFAULT 0,
+    error TEXT,
+    expires_at TEXT NOT NULL,
+    updated_at TEXT DEFAULT ${NOW}
+);
+
+CREATE TABLE IF NOT EXISTS resolved_urls (
+    lock_key TEXT NOT NULL,
+    stream_id TEXT NOT NULL,
+    download_url TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    PRIMARY KEY (lock_key, stream_id)
+);
+`;
+
+export const down = `
+DROP TABLE IF EXISTS resolved_urls;
+DROP TABLE IF EXISTS resolve_jobs;
+`;
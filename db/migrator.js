@@ -0,0 +1,193 @@
+// File: db/migrator.js
+// Version: 1.3 – migrateUp honours steps; progress goes to an optional log callback
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+/**
+ * Migrations live in db/migrations (Postgres) and db/migrations/sqlite as
+ * NNN_description.js, each exporting `up` and `down` SQL. A version has the
+ * same number and name in both directories. They run in version order, one
+ * transaction each, and every applied version is recorded in schema_migrations.
+ * The backend's migration lock keeps replicas that boot together from applying
+ * the same migration twice.
+ *
+ * To change the schema, add the next numbered file to both directories; never
+ * edit an applied one.
+ */
+
+const MIGRATIONS_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const MIGRATIONS_DIRS = {
+    postgres: MIGRATIONS_ROOT,
+    sqlite: path.join(MIGRATIONS_ROOT, 'sqlite'),
+};
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+const CREATE_MIGRATIONS_TABLE = {
+    postgres: `
+CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TIMESTAMPTZ DEFAULT NOW()
+);
+`,
+    sqlite: `
+CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+`,
+};
+
+// The database schema doesn't match this build; starting anyway would break queries
+export class SchemaVersionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SchemaVersionError';
+    }
+}
+
+/**
+ * Reads the migration files, sorted by version.
+ * @param {string} [dialect='postgres'] - Storage dialect whose SQL to pick.
+ * @returns {Promise<Array<{version: number, name: string, up: string, down: string}>>}
+ */
+export async function loadMigrations(dialect = 'postgres') {
+    const dir = MIGRATIONS_DIRS[dialect];
+    if (!dir) throw new Error(`No migrations for storage dialect '${dialect}'.`);
+    const files = fs.readdirSync(dir).filter(f => FILE_PATTERN.test(f));
+    const migrations = [];
+    for (const file of files) {
+        const [, version, name] = file.match(FILE_PATTERN);
+        const { up, down } = await import(pathToFileURL(path.join(dir, file)).href);
+        if (typeof up !== 'string' || typeof down !== 'string') {
+            throw new Error(`Migration ${path.relative(MIGRATIONS_ROOT, path.join(dir, file))} must export 'up' and 'down' SQL strings.`);
+        }
+        migrations.push({ version: parseInt(version, 10), name, up, down });
+    }
+    migrations.sort((a, b) => a.version - b.version);
+    const duplicate = migrations.find((m, i) => i > 0 && m.version === migrations[i - 1].version);
+    if (duplicate) throw new Error(`Two migrations share version ${duplicate.version}.`);
+    return migrations;
+}
+
+async function getApplied(client, dialect) {
+    await client.exec(CREATE_MIGRATIONS_TABLE[dialect]);
+    const { rows } = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return rows;
+}
+
+async function runInTransaction(client, sql, record) {
+    await client.exec('BEGIN');
+    try {
+        await client.exec(sql);
+        await record();
+        await client.exec('COMMIT');
+    } catch (err) {
+        await client.exec('ROLLBACK');
+        throw err;
+    }
+}
+
+/**
+ * Applied and pending migrations.
+ * @param {object} storage - Storage backend (src/storage).
+ * @returns {Promise<{current: number, latest: number, applied: object[], pending: object[], unknown: object[]}>}
+ *   `unknown` lists applied versions this build has no file for (schema newer than the code).
+ */
+export async function getMigrationStatus(storage) {
+    const migrations = await loadMigrations(storage.dialect);
+    return storage.withMigrationLock(async (client) => {
+        const applied = await getApplied(client, storage.dialect);
+        const appliedVersions = new Set(applied.map(r => r.version));
+        const knownVersions = new Set(migrations.map(m => m.version));
+        return {
+            current: applied.length ? applied[applied.length - 1].version : 0,
+            latest: migrations.length ? migrations[migrations.length - 1].version : 0,
+            applied,
+            pending: migrations.filter(m => !appliedVersions.has(m.version)).map(({ version, name }) => ({ version, name })),
+            unknown: applied.filter(r => !knownVersions.has(r.version)),
+        };
+    });
+}
+
+/**
+ * Applies pending migrations, oldest first, up to `to` (default: all).
+ * @param {object} storage - Storage backend (src/storage).
+ * @param {object} [options]
+ * @param {number} [options.to] - Highest version to apply.
+ * @param {number} [options.steps] - Apply at most this many.
+ * @param {Function} [options.log] - Called with a line per migration.
+ * @returns {Promise<number[]>} Versions applied.
+ * @throws {SchemaVersionError} If the database has versions this build doesn't know.
+ */
+export async function migrateUp(storage, { to = Infinity, steps = Infinity, log = () => {} } = {}) {
+    const migrations = await loadMigrations(storage.dialect);
+    return storage.withMigrationLock(async (client) => {
+        const applied = await getApplied(client, storage.dialect);
+        assertNotNewer(
+            applied.length ? applied[applied.length - 1].version : 0,
+            migrations.length ? migrations[migrations.length - 1].version : 0);
+        const appliedVersions = new Set(applied.map(r => r.version));
+        const done = [];
+        for (const m of migrations) {
+            if (done.length >= steps) break;
+            if (appliedVersions.has(m.version) || m.version > to) continue;
+            log(`[MIGRATE] Applying ${m.version}_${m.name}...`);
+            await runInTransaction(client, m.up, () => client.query(
+                'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [m.version, m.name]
+            ));
+            done.push(m.version);
+        }
+        return done;
+    });
+}
+
+/**
+ * Reverts applied migrations, newest first.
+ * @param {object} storage - Storage backend (src/storage).
+ * @param {object} [options]
+ * @param {number} [options.steps=1] - How many to revert (ignored when `to` is set).
+ * @param {number} [options.to] - Revert every migration above this version.
+ * @param {Function} [options.log] - Called with a line per migration.
+ * @returns {Promise<number[]>} Versions reverted.
+ */
+export async function migrateDown(storage, { steps = 1, to, log = () => {} } = {}) {
+    const migrations = new Map((await loadMigrations(storage.dialect)).map(m => [m.version, m]));
+    return storage.withMigrationLock(async (client) => {
+        const applied = (await getApplied(client, storage.dialect)).reverse();
+        const targets = to !== undefined ? applied.filter(r => r.version > to) : applied.slice(0, steps);
+        const done = [];
+        for (const row of targets) {
+            const m = migrations.get(row.version);
+            if (!m) throw new Error(`No migration file for applied version ${row.version} (${row.name}); cannot roll it back.`);
+            log(`[MIGRATE] Reverting ${m.version}_${m.name}...`);
+            await runInTransaction(client, m.down, () => client.query(
+                'DELETE FROM schema_migrations WHERE version = $1', [m.version]
+            ));
+            done.push(m.version);
+        }
+        return done;
+    });
+}
+
+function assertNotNewer(current, latest) {
+    if (current > latest) {
+        throw new SchemaVersionError(`Database schema is at version ${current}, but this build only knows migrations up to ${latest}. Deploy a newer build or roll the database back.`);
+    }
+}
+
+/**
+ * Checks the schema without changing it, for AUTO_MIGRATE=false.
+ * @param {object} storage - Storage backend (src/storage).
+ * @throws {SchemaVersionError} If the schema is newer than the code or has pending migrations.
+ */
+export async function assertSchemaCurrent(storage) {
+    const { current, latest, pending } = await getMigrationStatus(storage);
+    assertNotNewer(current, latest);
+    if (pending.length) {
+        throw new SchemaVersionError(`Database schema is missing migrations ${pending.map(m => m.version).join(', ')}. Run 'node db/migrate.js up'.`);
+    }
+}
@@ -1,38 +1,60 @@
 // File: index.js
-// Version: 2.9.13 – Cache resolved download URL to avoid duplicate redirects
+// Version: 2.32.2 – /configure refuses a debrid service without its API key (unless ALLOW_SERVER_KEY_FALLBACK)
 
 import express from 'express';
 import cors from 'cors';
+import fs from 'fs';
+import path from 'path';
 import sdk from 'stremio-addon-sdk';
-const { addonBuilder, serveHTTP } = sdk;
+const { addonBuilder, getRouter } = sdk;
 
 import { manifest } from './manifest.js';
-import { PORT, API_PORT, APP_HOST, ADDON_ID, PREFERRED_LANGUAGES, DEBRID_PROVIDER } from './config.js';
-import { initDb, pool } from './db.js';
-import { logger, getQuality, formatSize, robustParseInfo, sleep } from './src/utils.js';
-import { getMetaDetails } from './src/metadata.js';
+import {
+    PORT, API_PORT, APP_HOST, ADDON_ID, STREAM_URL_TTL_HOURS, PREFETCH_NEXT_EPISODE,
+    PREPARING_GRACE_SECONDS, PREPARING_VIDEO_PATH, ADMIN_TOKEN, ALLOW_SERVER_KEY_FALLBACK,
+} from './config.js';
+import { initDb, storage, isDbAvailable, reportDbError } from './db.js';
+import {
+    logger, getQuality, formatSize, sleep,
+    runWithRequestContext, addRequestContext, getRequestContext,
+} from './src/utils.js';
+import { getMetaDetails, parseStremioId } from './src/metadata.js';
+import { resolveEpisode, airDateFor } from './src/episodeNumbering.js';
 import { searchTorrents, getTorrentFiles } from './src/bitmagnet.js';
 import * as matcher from './src/matcher.js';
+import { encodeUserConfig, decodeUserConfig, resolveSettings, pickUserConfig, servicesWithoutKey } from './src/userConfig.js';
+import { isSealingEnabled } from './src/configToken.js';
+import { renderConfigurePage } from './src/configurePage.js';
+import { createAdminRouter, requireAdmin } from './src/admin.js';
+import { getHealth, getReadiness } from './src/health.js';
+import { renderPreparingClip } from './src/preparingVideo.js';
+import { renderMetrics, METRICS_CONTENT_TYPE, debridDuration, resolveSources } from './src/metrics.js';
 import PTT from 'parse-torrent-title';
 
-import debrid from './src/debrid/index.js';
-import { pollTorrentUntilReady } from './src/debrid/utils.js';
+import { getDebridProviders, getDebridProvider, recordDownloaded } from './src/debrid/index.js';
+import { pollTorrentUntilReady, canResolveWithoutAdding } from './src/debrid/utils.js';
+import { TorrentTimeoutError } from './src/debrid/contract.js';
+import { staleCacheReason, evictDeadTorrent, startCacheGc } from './src/debrid/staleTorrents.js';
+import {
+    getJob, claimJob, completeJob, failJob, releaseJob, waitForJob, getResolvedUrl, saveResolvedUrl,
+    setJobProgress, getProcessingProgress,
+} from './src/debrid/resolveJobs.js';
 
-// In‑memory cache for resolved torrent info (12h TTL)
-import { torrentInfoCache } from './src/debrid/cachedInfoCache.js';
-
-const processingLock = new Map();
+// In‑memory cache for pre-resolved torrent info from checkCached (12h TTL, per replica)
+import { torrentInfoCache, TTLCache } from './src/debrid/cachedInfoCache.js';
 
 // ================== HELPERS: Resolve download URL without redirecting ==================
-async function resolveDownloadUrl(torrentInfo, type, season, episode) {
+async function resolveDownloadUrl(debrid, torrentInfo, type, id) {
     if (type === 'series') {
-        const { season: fallbackSeason } = robustParseInfo(torrentInfo.filename);
+        // Anime packs may name their files by absolute episode ("Show - 1071.mkv")
+        const target = await resolveEpisode(id);
+        const { season, episode, absoluteEpisode } = target;
+        const fallbackSeason = matcher.getPackFallbackSeason(torrentInfo.filename);
         const selectedFiles = torrentInfo.files.filter(file => file.selected === 1);
+        const airDate = await airDateFor(target, selectedFiles.map(file => file.path));
 
-        const targetFile = selectedFiles.find(file => {
-            const fileInfo = robustParseInfo(file.path, fallbackSeason);
-            return fileInfo.season === parseInt(season, 10) && fileInfo.episode === parseInt(episode, 10);
-        });
+        const targetFile = selectedFiles.find(file => matcher.fileMatchesEpisode(
+            file.path, fallbackSeason, season, episode, absoluteEpisode, airDate));
 
         let fileToPlay = targetFile;
         if (!fileToPlay && selectedFiles.length === 1) {
@@ -40,18 +62,7 @@ async function resolveDownloadUrl(torrentInfo, type, season, episode) {
         }
         if (!fileToPlay) throw new Error(`Could not find S${season}E${episode} in the torrent's selected file list.`);
 
-        if (typeof debrid.getDownloadLinkForFile === 'function') {
-            const url = await debrid.getDownloadLinkForFile(torrentInfo.id, fileToPlay.id);
-            if (!url) throw new Error('Failed to obtain download link from TorBox.');
-            return url;
-        } else {
-            const fileIndexInSelected = selectedFiles.indexOf(fileToPlay);
-            const linkToUnrestrict = torrentInfo.links[fileIndexInSelected];
-            if (!linkToUnrestrict) throw new Error('No link available for the selected file.');
-            const unrestricted = await debrid.unrestrictLink(linkToUnrestrict);
-            if (!unrestricted) throw new Error('Failed to unrestrict link.');
-            return unrestricted.download;
-        }
+        return debrid.getFileUrl(torrentInfo, fileToPlay);
     } else { // movie
         const selectedFiles = torrentInfo.files.filter(file => file.selected === 1);
         if (!selectedFiles.length) throw new Error('No selected files in movie torrent.');
@@ -64,434 +75,895 @@ async function resolveDownloadUrl(torrentInfo, type, season, episode) {
             fileToPlay = selectedFiles.reduce((a, b) => (a.bytes > b.bytes ? a : b));
         }
 
-        if (typeof debrid.getDownloadLinkForFile === 'function') {
-            const url = await debrid.getDownloadLinkForFile(torrentInfo.id, fileToPlay.id);
-            if (!url) throw new Error('Failed to obtain movie download link from TorBox.');
-            return url;
-        } else {
-            const fileIndexInSelected = selectedFiles.indexOf(fileToPlay);
-            const linkToUnrestrict = torrentInfo.links[fileIndexInSelected];
-            if (!linkToUnrestrict) throw new Error('No link available for the movie file.');
-            const unrestricted = await debrid.unrestrictLink(linkToUnrestrict);
-            if (!unrestricted) throw new Error('Failed to unrestrict movie link.');
-            return unrestricted.download;
-        }
+        return debrid.getFileUrl(torrentInfo, fileToPlay);
     }
 }
 
-// ================== API SERVER ==================
-async function startApiServer() {
-    const app = express();
-    app.use(cors());
+// ================== HELPERS: Provider cache status ==================
+// Marks streams the provider can serve instantly and pre-resolves their torrent
+// info so the API server can skip the add/poll cycle.
+async function markCachedStreams(debrid, streams) {
+    const hashesToCheck = streams.map(s => s.infoHash);
+    if (hashesToCheck.length === 0) return;
+
+    logger.debug(`[ADDON] Calling ${debrid.name}.checkCached for ${hashesToCheck.length} hashes.`);
+    try {
+        const cacheStatus = await debrid.checkCached(hashesToCheck);
+
+        for (const s of streams) {
+            const cs = cacheStatus[s.infoHash];
+            if (cs && cs.cached) {
+                s.isCached = true;
+
+                if (debrid.capabilities.cachedFileLists && cs.torrent_id) {
+                    const files = (cs.files || []).map(f => ({
+                        id: f.id,
+                        path: f.name,
+                        bytes: f.size,
+                        selected: 1,
+                    }));
+                    const resolved = {
+                        id: cs.torrent_id,
+                        filename: cs.name,
+                        files,
+                        status: 'downloaded',
+                    };
+                    torrentInfoCache.set(`${debrid.providerKey}:${s.infoHash}`, resolved);
+                    logger.debug(`[ADDON] Stored pre-resolved info for ${s.infoHash} (torrentId=${cs.torrent_id})`);
+                }
+            } else {
+                s.isCached = false;
+            }
+        }
+        const cachedCount = streams.filter(s => s.isCached).length;
+        logger.info(`[ADDON] ${debrid.name} checkCached result: ${cachedCount} / ${streams.length} cached.`);
+    } catch (err) {
+        logger.warn(`[ADDON] ${debrid.name} checkCached failed, treating all as uncached: ${err.message}`);
+        streams.forEach(s => s.isCached = false);
+    }
+}
 
-    app.get(`/${ADDON_ID}/stream/:type/:id/:infoHash`, async (req, res) => {
-        const { type, id, infoHash } = req.params;
-        const [imdbId, season, episode] = id.split(':');
+// ================== HELPERS: Add torrent and wait until ready ==================
+// Adds (or re-uses) the torrent on the provider, selects files, polls until it is
+// downloaded and stores its info. Deletes the torrent on terminal failures.
+async function addAndWaitForTorrent(debrid, infoHash, imdbId, type, onProgress) {
+    let torrentId = null;
+    let endTimer = debridDuration.startTimer({ provider: debrid.name, operation: 'add' });
+    try {
+        const activeTorrents = await debrid.getTorrents();
+        const existingTorrent = activeTorrents.find(
+            t => t.hash.toLowerCase() === infoHash.toLowerCase()
+        );
+
+        if (existingTorrent) {
+            if (existingTorrent.status === 'error') {
+                logger.warn(`[API] Existing torrent ${existingTorrent.id} has status '${existingTorrent.status}'. Deleting and re-adding.`);
+                await debrid.deleteTorrent(existingTorrent.id);
+                torrentId = null;
+            } else {
+                logger.info(`[API] Re-using active torrent ${existingTorrent.id} (status: ${existingTorrent.status}).`);
+                torrentId = existingTorrent.id;
+            }
+        }
 
-        try {
-            let torrentInfo;
-            let downloadUrl = null;   // will be set if we already have it cached
-            const lockEntry = processingLock.get(infoHash);
-
-            // 1. Handle existing lock
-            if (lockEntry) {
-                switch (lockEntry.state) {
-                    case 'COMPLETED':
-                        logger.info(`[API] Lock hit for ${infoHash}. Serving completed result.`);
-                        // If a download URL was already resolved, use it directly
-                        if (lockEntry.downloadUrl) {
-                            return res.redirect(lockEntry.downloadUrl);
-                        }
-                        // Otherwise fall through to resolve the URL from the stored torrentInfo
-                        torrentInfo = lockEntry.data;
-                        // After resolving, we'll cache the URL (handled later)
-                        break;
-                    case 'PROCESSING':
-                        logger.warn(`[API] Request for ${infoHash} is already processing. Awaiting result...`);
-                        try {
-                            torrentInfo = await lockEntry.promise;
-                            const finalLockEntry = processingLock.get(infoHash);
-                            if (finalLockEntry && finalLockEntry.state === 'COMPLETED') {
-                                if (finalLockEntry.downloadUrl) {
-                                    return res.redirect(finalLockEntry.downloadUrl);
-                                }
-                                torrentInfo = finalLockEntry.data;
-                            } else {
-                                throw (finalLockEntry?.error || new Error('Processing request failed.'));
-                            }
-                        } catch (err) {
-                            throw (err?.error || err);
+        if (!torrentId) {
+            logger.info(`[API] Adding magnet to debrid service...`);
+            const magnet = `magnet:?xt=urn:btih:${infoHash}`;
+            const addResult = await debrid.addMagnet(magnet);
+            if (!addResult) throw new Error('Failed to add magnet to debrid.');
+            torrentId = addResult.id;
+
+            const isCached = addResult.cached === true;
+            if (!isCached) {
+                logger.info(`[API] Torrent added (ID: ${torrentId}). Waiting for metadata...`);
+                let readyForSelection = false;
+                const maxPreChecks = 10;
+                for (let i = 0; i < maxPreChecks; i++) {
+                    await sleep(2000);
+                    let info;
+                    try {
+                        info = await debrid.getTorrentInfo(torrentId);
+                    } catch (err) {
+                        if (err.name === 'ResourceNotFoundError') {
+                            logger.warn(`[API] 404 for ${torrentId} – retrying (${i+1}/${maxPreChecks})`);
+                            continue;
                         }
+                        throw err;
+                    }
+                    if (info.status === 'error') {
+                        throw new Error(`Debrid rejected magnet (${info.rawStatus}).`);
+                    }
+                    // Providers without a selection step (AllDebrid) go straight to 'downloading'
+                    if (['waiting_files_selection', 'downloading', 'downloaded'].includes(info.status)) {
+                        readyForSelection = true;
                         break;
-                    case 'FAILED':
-                        logger.warn(`[API] Lock hit for ${infoHash}. Rejecting due to previous failure.`);
-                        throw lockEntry.error;
-                    default:
-                        throw new Error('Unknown lock state.');
+                    }
+                }
+                if (!readyForSelection) throw new TorrentTimeoutError('Timed out waiting for metadata.', { provider: debrid.name });
+
+                const freshInfo = await debrid.getTorrentInfo(torrentId);
+                if (freshInfo.status === 'waiting_files_selection') {
+                    const fileIds = freshInfo.files.map(f => f.id);   // real file IDs
+                    await debrid.selectFiles(torrentId, fileIds);
                 }
+            } else {
+                logger.info(`[API] Torrent is already cached. Skipping pre‑selection wait.`);
             }
+        }
 
-            // 2. Check local caches (in‑memory → DB)
-            if (!torrentInfo && DEBRID_PROVIDER) {
-                const cachedResolved = torrentInfoCache.get(infoHash);
-                if (cachedResolved) {
-                    logger.info(`[API] In‑memory cache hit for ${infoHash}. Using pre‑resolved info.`);
-                    torrentInfo = cachedResolved;
-                } else {
-                    const { rows } = await pool.query(
-                        "SELECT torrent_info_json FROM torrents WHERE infohash = $1 AND tmdb_id = $2 AND content_type = $3 AND provider = $4",
-                        [infoHash, imdbId, type, DEBRID_PROVIDER]
-                    );
-                    if (rows.length > 0) {
-                        logger.info(`[API] DB cache hit for ${infoHash}.`);
-                        torrentInfo = rows[0].torrent_info_json;
-                    }
+        endTimer({ outcome: 'ok' });
+        endTimer = debridDuration.startTimer({ provider: debrid.name, operation: 'poll' });
+        const readyTorrent = await pollTorrentUntilReady(
+            torrentId,
+            (id) => debrid.getTorrentInfo(id),
+            { onProgress }
+        );
+        endTimer({ outcome: 'ok' });
+
+        const language = PTT.parse(readyTorrent.filename).languages?.[0] || 'en';
+        // The torrent is ready either way; losing the DB must not fail (and delete) it
+        if (isDbAvailable()) {
+            try {
+                await storage.saveTorrent({
+                    infoHash, imdbId, type, provider: debrid.providerKey, torrentInfo: readyTorrent,
+                    language, quality: getQuality(readyTorrent.filename), seeders: readyTorrent.seeders,
+                });
+            } catch (err) {
+                if (!reportDbError(err)) throw err;
+            }
+        }
+        await recordDownloaded(debrid, infoHash, torrentId);
+        return readyTorrent;
+    } catch (error) {
+        const isTimeout = error.name === 'TorrentTimeoutError';
+        endTimer({ outcome: isTimeout ? 'timeout' : 'error' });
+        const errMsg = error.message || '';
+        const statusCode = error.response?.status;
+        const isTerminal = errMsg.includes('magnet_error') ||
+                           errMsg.includes('virus') ||
+                           errMsg.includes('rejected') ||
+                           statusCode === 451 ||
+                           error.name === 'ResourceNotFoundError';
+
+        if (torrentId) {
+            if (isTerminal) {
+                logger.warn(`[API] Terminal failure for ${torrentId}: ${errMsg}. Deleting torrent.`);
+                await debrid.deleteTorrent(torrentId);
+            } else if (isTimeout) {
+                logger.info(`[API] Timeout for ${torrentId} – keeping torrent for retry.`);
+            } else {
+                logger.warn(`[API] Unknown error for ${torrentId}: ${errMsg}. Deleting to avoid zombie state.`);
+                try {
+                    await debrid.deleteTorrent(torrentId);
+                } catch (cleanupErr) {
+                    logger.warn(`[API] Cleanup failed for ${torrentId}: ${cleanupErr.message}`);
                 }
             }
+        }
+        throw error;
+    }
+}
 
-            // 3. If still no info, start a new debrid process (atomic lock)
-            if (!torrentInfo && DEBRID_PROVIDER) {
-                logger.info(`[API] No cache hit for ${infoHash}. Starting new debrid process.`);
+// ================== HELPERS: Resolve one stream ==================
+// Picks the stream's file from ready torrent info and remembers its URL.
+async function finishStream(debrid, lockKey, torrentInfo, type, id) {
+    const downloadUrl = await resolveDownloadUrl(debrid, torrentInfo, type, id);
+    await saveResolvedUrl(lockKey, `${type}:${id}`, downloadUrl);
+    return { downloadUrl, torrentInfo };
+}
 
-                // -- Atomic lock --
-                let resolveLock, rejectLock;
-                const lockPromise = new Promise((res, rej) => {
-                    resolveLock = res;
-                    rejectLock = rej;
-                });
-                lockPromise.catch(() => {});
-                processingLock.set(infoHash, { state: 'PROCESSING', promise: lockPromise });
+// The debrid job this process claimed. Keeps running after the click got the
+// placeholder, so the URL is cached by the time the user tries again.
+async function runResolveJob(debrid, lockKey, infoHash, type, id) {
+    const { contentId: imdbId } = parseStremioId(id);
+    let torrentInfo;
+    try {
+        torrentInfo = await addAndWaitForTorrent(debrid, infoHash, imdbId, type, (info) => setJobProgress(lockKey, info.progress));
+        await completeJob(lockKey, torrentInfo);
+    } catch (error) {
+        logger.error(`[API] Processing failed for ${infoHash}: ${error.message}`);
+        // A timeout leaves the torrent downloading on the provider, so let the next click retry
+        if (error.name === 'TorrentTimeoutError') await releaseJob(lockKey);
+        else await failJob(lockKey, error);
+        throw error;
+    }
+    return finishStream(debrid, lockKey, torrentInfo, type, id);
+}
 
-                const processPromise = (async () => {
-                    let torrentId = null;
-                    try {
-                        const activeTorrents = await debrid.getTorrents();
-                        const existingTorrent = activeTorrents.find(
-                            t => t.hash.toLowerCase() === infoHash.toLowerCase()
-                        );
-
-                        if (existingTorrent) {
-                            if (['magnet_error', 'error', 'dead', 'virus'].includes(existingTorrent.status)) {
-                                logger.warn(`[API] Existing torrent ${existingTorrent.id} has status '${existingTorrent.status}'. Deleting and re-adding.`);
-                                await debrid.deleteTorrent(existingTorrent.id);
-                                torrentId = null;
-                            } else {
-                                logger.info(`[API] Re-using active torrent ${existingTorrent.id} (status: ${existingTorrent.status}).`);
-                                torrentId = existingTorrent.id;
-                            }
-                        }
+// Resolves to the promise's value, or null if it is not settled within the grace period
+async function withinGrace(promise) {
+    promise.catch(() => {});   // failures after the grace period are logged by the job itself
+    let timer;
+    const grace = new Promise(resolve => { timer = setTimeout(() => resolve(null), PREPARING_GRACE_SECONDS * 1000); });
+    try {
+        return await Promise.race([promise, grace]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
 
-                        if (!torrentId) {
-                            logger.info(`[API] Adding magnet to debrid service...`);
-                            const magnet = `magnet:?xt=urn:btih:${infoHash}`;
-                            const addResult = await debrid.addMagnet(magnet);
-                            if (!addResult) throw new Error('Failed to add magnet to debrid.');
-                            torrentId = addResult.id;
-
-                            const isCached = addResult.cached === true;
-                            if (!isCached) {
-                                logger.info(`[API] Torrent added (ID: ${torrentId}). Waiting for metadata...`);
-                                let readyForSelection = false;
-                                const maxPreChecks = 10;
-                                for (let i = 0; i < maxPreChecks; i++) {
-                                    await sleep(2000);
-                                    let info;
-                                    try {
-                                        info = await debrid.getTorrentInfo(torrentId);
-                                    } catch (err) {
-                                        if (err.name === 'ResourceNotFoundError') {
-                                            logger.warn(`[API] 404 for ${torrentId} – retrying (${i+1}/${maxPreChecks})`);
-                                            continue;
-                                        }
-                                        throw err;
-                                    }
-                                    if (!info) continue;
-                                    if (['magnet_error', 'error', 'virus'].includes(info.status)) {
-                                        throw new Error(`Debrid rejected magnet (${info.status}).`);
-                                    }
-                                    if (info.status === 'waiting_files_selection' || info.status === 'downloaded') {
-                                        readyForSelection = true;
-                                        break;
-                                    }
-                                }
-                                if (!readyForSelection) throw new Error('Timed out waiting for metadata.');
-
-                                const freshInfo = await debrid.getTorrentInfo(torrentId);
-                                if (freshInfo && freshInfo.status === 'waiting_files_selection') {
-                                    const fileIds = freshInfo.files.map(f => f.id);   // real file IDs
-                                    await debrid.selectFiles(torrentId, fileIds);
-                                }
-                            } else {
-                                logger.info(`[API] Torrent is already cached. Skipping pre‑selection wait.`);
-                            }
-                        }
+// Returns { downloadUrl, torrentInfo } (torrentInfo is null on a resolved-URL
+// cache hit), { preparing: { lockKey } } if the torrent is still downloading after
+// the grace period, or null if the provider is not usable.
+async function resolveStream(debrid, type, id, infoHash) {
+    if (!debrid.providerKey) return null;
+    if (isDbAvailable()) {
+        try {
+            return await resolveStreamWithDb(debrid, type, id, infoHash);
+        } catch (err) {
+            if (!reportDbError(err)) throw err;
+            logger.warn(`[API] Database lost while resolving ${infoHash}; continuing without it.`);
+        }
+    }
+    return resolveStreamWithoutDb(debrid, type, id, infoHash);
+}
 
-                        const readyTorrent = await pollTorrentUntilReady(
-                            torrentId,
-                            (id) => debrid.getTorrentInfo(id)
-                        );
-
-                        const language = PTT.parse(readyTorrent.filename).languages?.[0] || 'en';
-                        await pool.query(
-                            `INSERT INTO torrents (infohash, tmdb_id, content_type, provider, torrent_info_json, language, quality, seeders)
-                             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-                             ON CONFLICT (infohash, tmdb_id, content_type, provider)
-                             DO UPDATE SET torrent_info_json = EXCLUDED.torrent_info_json, last_used_at = CURRENT_TIMESTAMP`,
-                            [infoHash, imdbId, type, DEBRID_PROVIDER, readyTorrent, language, getQuality(readyTorrent.filename), readyTorrent.seeders]
-                        );
-
-                        // ✅ Resolve the download URL immediately and store it
-                        const url = await resolveDownloadUrl(readyTorrent, type, season, episode);
-                        return { torrentInfo: readyTorrent, downloadUrl: url };
-                    } catch (error) {
-                        const errMsg = error.message || '';
-                        const statusCode = error.response?.status;
-                        const isTerminal = errMsg.includes('magnet_error') ||
-                                           errMsg.includes('virus') ||
-                                           errMsg.includes('rejected') ||
-                                           statusCode === 451 ||
-                                           error.name === 'ResourceNotFoundError';
-                        const isTimeout = errMsg.includes('timed out');
-
-                        if (torrentId) {
-                            if (isTerminal) {
-                                logger.warn(`[API] Terminal failure for ${torrentId}: ${errMsg}. Deleting torrent.`);
-                                await debrid.deleteTorrent(torrentId);
-                            } else if (isTimeout) {
-                                logger.info(`[API] Timeout for ${torrentId} – keeping torrent for retry.`);
-                            } else {
-                                logger.warn(`[API] Unknown error for ${torrentId}: ${errMsg}. Deleting to avoid zombie state.`);
-                                try {
-                                    await debrid.deleteTorrent(torrentId);
-                                } catch (cleanupErr) {
-                                    logger.warn(`[API] Cleanup failed for ${torrentId}: ${cleanupErr.message}`);
-                                }
-                            }
-                        }
-                        throw error;
-                    }
-                })();
+// Any replica may resolve the same torrent: the first claims its resolve_jobs
+// row, the others wait on it.
+async function resolveStreamWithDb(debrid, type, id, infoHash) {
+    const { contentId: imdbId } = parseStremioId(id);
+    const providerKey = debrid.providerKey;
+    // Keyed by provider key so users on different debrid accounts never share a job
+    const lockKey = `${providerKey}:${infoHash}`;
+    const streamId = `${type}:${id}`;
+    const countSource = (source) => resolveSources.inc({ provider: debrid.name, source });
+
+    // 1. A URL already resolved (or prefetched) for this exact stream
+    const cachedUrl = await getResolvedUrl(lockKey, streamId);
+    if (cachedUrl) {
+        logger.info(`[API] Resolved URL cache hit for ${infoHash} (${streamId}).`);
+        countSource('resolved_url');
+        return { downloadUrl: cachedUrl, torrentInfo: null };
+    }
 
-                try {
-                    const result = await processPromise;   // { torrentInfo, downloadUrl }
-                    processingLock.set(infoHash, {
-                        state: 'COMPLETED',
-                        data: result.torrentInfo,
-                        downloadUrl: result.downloadUrl,
-                    });
-                    resolveLock(result.torrentInfo);
-                    setTimeout(() => processingLock.delete(infoHash), 30000);
-                    return res.redirect(result.downloadUrl);
-                } catch (error) {
-                    logger.error(`[API] Processing failed for ${infoHash}: ${error.message}`);
-                    processingLock.set(infoHash, { state: 'FAILED', error: error });
-                    setTimeout(() => processingLock.delete(infoHash), 300000);
-                    throw error;
-                }
+    let torrentInfo;
+    const preparing = { preparing: { lockKey } };
+    const graceMs = PREPARING_GRACE_SECONDS * 1000;
+
+    // Steps 4-5: claim the hash (or wait on whoever did) and add it on the provider
+    const startJob = async () => {
+        if (!(await claimJob(lockKey))) {
+            logger.warn(`[API] ${infoHash} was claimed by another request. Awaiting result...`);
+            const completedJob = await waitForJob(lockKey, { timeoutMs: graceMs });
+            if (!completedJob) return preparing;
+            countSource('job');
+            return finishStream(debrid, lockKey, completedJob.torrent_info_json, type, id);
+        }
+        logger.info(`[API] No cache hit for ${infoHash}. Starting new debrid process.`);
+        countSource('fresh');
+        const result = await withinGrace(runResolveJob(debrid, lockKey, infoHash, type, id));
+        if (!result) {
+            logger.info(`[API] ${infoHash} not ready after ${PREPARING_GRACE_SECONDS}s. Serving placeholder while it downloads.`);
+            return preparing;
+        }
+        return result;
+    };
+
+    // 2. An existing job, claimed by this or any other replica
+    const job = await getJob(lockKey);
+    if (job) {
+        switch (job.state) {
+            case 'COMPLETED':
+                logger.info(`[API] Lock hit for ${infoHash}. Using completed result.`);
+                torrentInfo = job.torrent_info_json;
+                break;
+            case 'PROCESSING': {
+                logger.warn(`[API] Request for ${infoHash} is already processing (${job.owner}). Awaiting result...`);
+                const completedJob = await waitForJob(lockKey, { timeoutMs: graceMs });
+                if (!completedJob) return preparing;
+                torrentInfo = completedJob.torrent_info_json;
+                break;
             }
+            case 'FAILED':
+                logger.warn(`[API] Lock hit for ${infoHash}. Rejecting due to previous failure.`);
+                throw new Error(job.error);
+            default:
+                throw new Error('Unknown lock state.');
+        }
+    }
 
-            // 4. If we have torrentInfo but no downloadUrl yet (from DB cache or in‑memory cache)
-            if (torrentInfo) {
-                const url = await resolveDownloadUrl(torrentInfo, type, season, episode);
-                // If the lock still exists (should be COMPLETED), update it with the URL
-                const currentLock = processingLock.get(infoHash);
-                if (currentLock && currentLock.state === 'COMPLETED') {
-                    currentLock.downloadUrl = url;
-                }
-                return res.redirect(url);
-            } else {
-                res.status(404).send('Torrent not available via debrid.');
+    if (torrentInfo) countSource('job');
+
+    // 3. Local caches (in‑memory → DB)
+    if (!torrentInfo) {
+        const cachedResolved = torrentInfoCache.get(lockKey);
+        if (cachedResolved) {
+            logger.info(`[API] In‑memory cache hit for ${infoHash}. Using pre‑resolved info.`);
+            countSource('memory');
+            torrentInfo = cachedResolved;
+        } else {
+            const stored = await storage.findTorrentInfo({ infoHash, imdbId, type, provider: providerKey });
+            if (stored) {
+                logger.info(`[API] DB cache hit for ${infoHash}.`);
+                countSource('db');
+                torrentInfo = stored;
+                // Keeps the row from expiring in the cache GC while it is in use
+                storage.touchTorrent({ infoHash, imdbId, type, provider: providerKey })
+                    .catch(err => logger.warn(`[API] Could not touch ${infoHash}: ${err.message}`));
             }
+        }
+    }
+
+    // 4. Another request may have claimed the hash since step 2 – wait on it instead
+    // 5. This request owns the job: start a new debrid process in the background
+    if (!torrentInfo) return startJob();
+
+    // 6. Pick this stream's file and remember its URL. The cached info may be stale
+    //    (link expired, torrent deleted on the provider); then evict it and run the
+    //    add/poll flow once more. A failure of that fresh run is final.
+    try {
+        return await finishStream(debrid, lockKey, torrentInfo, type, id);
+    } catch (err) {
+        const reason = await staleCacheReason(debrid, torrentInfo, err);
+        if (!reason) throw err;
+        logger.warn(`[API] Cached torrent ${torrentInfo.id} for ${infoHash} is stale on ${debrid.name} (${err.message}). Adding it again.`);
+        await evictDeadTorrent(providerKey, infoHash, reason);
+        return startJob();
+    }
+}
+
+// Degraded mode (no database): no shared lock and no DB caches. Clicks on this
+// replica share one in-process job per torrent; its ready info is kept in
+// torrentInfoCache so the next click skips the provider round trip.
+const localJobs = new Map();
+
+async function resolveStreamWithoutDb(debrid, type, id, infoHash) {
+    const { contentId: imdbId } = parseStremioId(id);
+    const lockKey = `${debrid.providerKey}:${infoHash}`;
+
+    let torrentInfo = torrentInfoCache.get(lockKey);
+    if (torrentInfo) {
+        logger.info(`[API] In‑memory cache hit for ${infoHash} (degraded mode).`);
+        resolveSources.inc({ provider: debrid.name, source: 'memory' });
+    } else {
+        let job = localJobs.get(lockKey);
+        if (!job) {
+            logger.info(`[API] Resolving ${infoHash} without the database (degraded mode).`);
+            resolveSources.inc({ provider: debrid.name, source: 'fresh' });
+            job = addAndWaitForTorrent(debrid, infoHash, imdbId, type)
+                .then(info => {
+                    torrentInfoCache.set(lockKey, info);
+                    return info;
+                })
+                .catch(err => {
+                    logger.error(`[API] Processing failed for ${infoHash}: ${err.message}`);
+                    throw err;
+                })
+                .finally(() => localJobs.delete(lockKey));
+            localJobs.set(lockKey, job);
+        }
+        torrentInfo = await withinGrace(job);
+        if (!torrentInfo) return { preparing: { lockKey } };
+        const downloadUrl = await resolveDownloadUrl(debrid, torrentInfo, type, id);
+        return { downloadUrl, torrentInfo };
+    }
+
+    // The remembered info may be stale since; the retry starts a fresh job, which does not retry
+    try {
+        const downloadUrl = await resolveDownloadUrl(debrid, torrentInfo, type, id);
+        return { downloadUrl, torrentInfo };
+    } catch (err) {
+        if (!(await staleCacheReason(debrid, torrentInfo, err))) throw err;
+        logger.warn(`[API] Cached torrent ${torrentInfo.id} for ${infoHash} is stale on ${debrid.name} (${err.message}). Adding it again.`);
+        torrentInfoCache.delete(lockKey);
+        return resolveStreamWithoutDb(debrid, type, id, infoHash);
+    }
+}
+
+// ================== HELPERS: Next-episode prefetch ==================
+// Warms the next episode so bingeGroup autoplay starts instantly: the same pack
+// if it has the file, otherwise the stream Stremio will autoplay (same bingeGroup)
+// from the next episode's list. Only ⚡ streams the provider has instantly or that
+// already sit in the account are warmed, so a prefetch never adds a download to the
+// user's account or waits on one (a Real-Debrid ⚡ from download history would).
+const prefetchedEpisodes = new TTLCache(30 * 60 * 1000);
+
+async function prefetchNextEpisode(debrid, config, id, infoHash, torrentInfo, bingeGroup) {
+    const { contentId, season, episode } = parseStremioId(id);
+    const nextEpisode = episode + 1;
+    // Anime ids have no season: kitsu:7442:5 → kitsu:7442:6
+    const nextId = season === undefined ? `${contentId}:${nextEpisode}` : `${contentId}:${season}:${nextEpisode}`;
+    const dedupeKey = `${debrid.providerKey}:${nextId}`;
+    if (prefetchedEpisodes.get(dedupeKey)) return;
+    prefetchedEpisodes.set(dedupeKey, true);
+    addRequestContext({ episode: String(nextEpisode) });
+
+    const target = await resolveEpisode(nextId);
+    const airDate = torrentInfo ? await airDateFor(target, torrentInfo.files.map(file => file.path)) : null;
+    if (torrentInfo && matcher.findFileInTorrentInfo(torrentInfo, target.season, target.episode, target.absoluteEpisode, airDate)) {
+        logger.info(`[PREFETCH] ${nextId} is in the same pack (${infoHash}). Resolving its URL.`);
+        await resolveStream(debrid, 'series', nextId, infoHash);
+        return;
+    }
+
+    if (!bingeGroup) {
+        logger.info(`[PREFETCH] No bingeGroup on the click, not picking a stream for ${nextId}.`);
+        return;
+    }
+    const { streams } = await buildStreams({ type: 'series', id: nextId, config });
+    const next = streams.find(s => s.behaviorHints?.bingeGroup === bingeGroup && s.name.startsWith('[⚡'));
+    if (!next) {
+        logger.info(`[PREFETCH] No instant ${debrid.name} stream in ${bingeGroup} for ${nextId}.`);
+        return;
+    }
+    const nextHash = new URL(next.url).pathname.split('/').pop();
+    addRequestContext({ infoHash: nextHash });
+    if (!(await canResolveWithoutAdding(debrid, nextHash))) {
+        logger.info(`[PREFETCH] ${nextHash} is neither instant nor in the account on ${debrid.name}; not adding it for ${nextId}.`);
+        return;
+    }
+    logger.info(`[PREFETCH] Warming ${nextId} with ${nextHash} on ${debrid.name}.`);
+    await resolveStream(debrid, 'series', nextId, nextHash);
+}
+
+// ================== HELPERS: In-memory video ==================
+// Players fetch video in byte ranges (iOS and some TVs refuse to play otherwise).
+// Handles the single "bytes=start-end" form; anything else gets the whole clip.
+function sendVideoBuffer(req, res, buffer) {
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.type('video/mp4');
+    const range = /^bytes=(\d*)-(\d*)$/.exec(req.get('range') || '');
+    if (!range || (!range[1] && !range[2])) return res.send(buffer);
+    const last = buffer.length - 1;
+    const start = range[1] ? parseInt(range[1], 10) : Math.max(buffer.length - parseInt(range[2], 10), 0);
+    const end = range[1] && range[2] ? Math.min(parseInt(range[2], 10), last) : last;
+    if (start > end) {
+        res.setHeader('Content-Range', `bytes */${buffer.length}`);
+        return res.status(416).end();
+    }
+    res.status(206).setHeader('Content-Range', `bytes ${start}-${end}/${buffer.length}`);
+    res.send(buffer.subarray(start, end + 1));
+}
+
+// ================== HELPERS: Request ids ==================
+// Gives each HTTP request a requestId (or keeps a sane incoming X-Request-Id) that
+// every log line written while handling it carries, and echoes it back.
+function requestContextMiddleware(req, res, next) {
+    const incoming = req.get('x-request-id');
+    const fields = /^[\w-]{1,64}$/.test(incoming || '') ? { requestId: incoming } : {};
+    runWithRequestContext(fields, () => {
+        res.setHeader('X-Request-Id', getRequestContext().requestId);
+        next();
+    });
+}
+
+// ================== HELPERS: Health endpoints ==================
+// /health: the process is alive (and whether it runs without the database).
+// /ready: Bitmagnet, TMDB and the server's debrid keys answer (503 otherwise);
+// Postgres being down only makes it 'degraded'. See src/health.js for the caching.
+function mountHealthRoutes(app) {
+    app.get('/health', (_, res) => res.json(getHealth()));
+    app.get('/ready', async (_, res) => {
+        const report = await getReadiness();
+        res.status(report.status === 'error' ? 503 : 200).json(report);
+    });
+}
+
+// ================== HELPERS: Match explanation (/debug/match) ==================
+// Adds each accepted candidate's positions in the final list; an accepted
+// candidate without one was cut by the language filter or per-quality limit.
+function explainMatch(trace, streamCount) {
+    const positions = new Map();
+    trace.sorted.forEach((s, i) => {
+        if (!positions.has(s.infoHash)) positions.set(s.infoHash, []);
+        positions.get(s.infoHash).push({ provider: s.provider, position: i + 1 });
+    });
+    const searches = trace.searches.map(search => ({
+        ...search,
+        candidates: search.candidates.map(c => ({ ...c, sortPositions: positions.get(c.infoHash) || [] })),
+    }));
+    return {
+        meta: trace.meta,
+        searches,
+        sorted: trace.sorted.map((s, i) => ({ position: i + 1, ...s })),
+        streamCount,
+    };
+}
+
+// ================== API SERVER ==================
+async function startApiServer() {
+    const app = express();
+    app.use(cors());
+    app.use(requestContextMiddleware);
+    mountHealthRoutes(app);
+
+    // `config` is the optional per-install segment produced by encodeUserConfig();
+    // `provider` picks the debrid service (older URLs without it use the primary one)
+    app.get([
+        `/${ADDON_ID}/:config?/stream/:provider/:type/:id/:infoHash`,
+        `/${ADDON_ID}/:config?/stream/:type/:id/:infoHash`,
+    ], async (req, res) => {
+        const { type, id, infoHash } = req.params;
+        const { contentId: imdbId, season, episode } = parseStremioId(id);
+        addRequestContext({ type, imdbId, season, episode, infoHash, provider: req.params.provider });
+
+        let userConfig;
+        try {
+            userConfig = decodeUserConfig(req.params.config);
+        } catch (err) {
+            logger.warn(`[API] Rejected config token for ${infoHash}: ${err.message}`);
+            return res.status(403).send(`Error: ${err.message} Please reinstall the addon.`);
+        }
+        const settings = resolveSettings(userConfig);
+        const debrid = getDebridProvider(settings, req.params.provider);
+        if (!debrid) {
+            return res.status(404).send(`Debrid provider '${req.params.provider || 'default'}' is not enabled.`);
+        }
+
+        let result;
+        try {
+            result = await resolveStream(debrid, type, id, infoHash);
         } catch (error) {
             logger.error(`[API] Final error processing ${infoHash}: ${error.message}`);
-            res.status(500).send(`Error: ${error.message}. Please try another stream.`);
+            return res.status(500).send(`Error: ${error.message}. Please try another stream.`);
+        }
+        if (!result) return res.status(404).send('Torrent not available via debrid.');
+        if (result.preparing) {
+            return res.redirect(`${APP_HOST}/${ADDON_ID}/preparing/${encodeURIComponent(result.preparing.lockKey)}.mp4`);
+        }
+        res.redirect(result.downloadUrl);
+
+        if (type === 'series' && PREFETCH_NEXT_EPISODE) {
+            runWithRequestContext({ prefetch: true }, () =>
+                prefetchNextEpisode(debrid, userConfig, id, infoHash, result.torrentInfo, req.query.bingeGroup))
+                .catch(err => logger.warn(`[PREFETCH] Next episode after ${id} failed: ${err.message}`));
         }
     });
 
+    // Placeholder played while a torrent downloads on the debrid service: a clip
+    // generated with the job's progress drawn on it, unless the operator supplies one
+    let customPreparingVideo = PREPARING_VIDEO_PATH ? path.resolve(PREPARING_VIDEO_PATH) : null;
+    if (customPreparingVideo && !fs.existsSync(customPreparingVideo)) {
+        logger.warn(`[API] No placeholder video at ${customPreparingVideo}; using the generated one.`);
+        customPreparingVideo = null;
+    }
+    app.get(`/${ADDON_ID}/preparing/:lockKey.mp4`, async (req, res) => {
+        const job = await getJob(req.params.lockKey).catch(() => null);
+        const progress = job?.state === 'PROCESSING' ? job.progress || 0 : null;
+        res.setHeader('X-Debrid-Status', progress === null ? 'Preparing on debrid' : `Downloading on debrid – ${progress}%`);
+        res.setHeader('Cache-Control', 'no-store');
+        if (customPreparingVideo) return res.sendFile(customPreparingVideo);
+        sendVideoBuffer(req, res, renderPreparingClip(progress));
+    });
+
+    app.get('/metrics', (_, res) => {
+        res.setHeader('Content-Type', METRICS_CONTENT_TYPE);
+        res.end(renderMetrics());
+    });
+
+    if (ADMIN_TOKEN) {
+        app.use('/admin', createAdminRouter());
+        // Same pipeline as the stream handler; ?config= takes an install's config segment
+        app.get('/debug/match/:type(movie|series)/:id', requireAdmin, async (req, res) => {
+            const { type, id } = req.params;
+            let config;
+            try {
+                config = decodeUserConfig(req.query.config);
+            } catch (err) {
+                return res.status(403).json({ err: err.message });
+            }
+            const trace = { meta: null, searches: [], sorted: [] };
+            try {
+                const { streams } = await buildStreams({ type, id, config, trace });
+                res.json(explainMatch(trace, streams.length));
+            } catch (err) {
+                logger.error(`[DEBUG] Match explanation for ${type}/${id} failed: ${err.message}`);
+                res.status(500).json({ err: err.message, ...trace });
+            }
+        });
+        logger.info(`[API] Admin dashboard at http://127.0.0.1:${API_PORT}/admin`);
+    } else {
+        logger.info('[API] ADMIN_TOKEN not set; admin dashboard disabled.');
+    }
+
     app.listen(API_PORT, () => logger.info(`[API] Express API server listening on http://127.0.0.1:${API_PORT}`));
 }
 
-// ================== ADDON SERVER ==================
-async function startAddonServer() {
-    await initDb();
-    const builder = new addonBuilder(manifest);
+// ================== STREAM LIST ==================
+// Torrents this title already resolved on the given providers (none in degraded mode)
+async function loadCachedTorrents(imdbId, type, providers) {
+    if (!providers.length || !isDbAvailable()) return [];
+    try {
+        return await storage.findTorrentsForTitle(imdbId, type, providers.map(d => d.providerKey));
+    } catch (err) {
+        if (!reportDbError(err)) throw err;
+        return [];
+    }
+}
 
-    builder.defineStreamHandler(async (args) => {
-        const { type, id } = args;
-        logger.info(`[ADDON] Stream request received for type: ${type}, id: ${id}`);
+function describeSorted(s, provider) {
+    return {
+        provider,
+        infoHash: s.infoHash,
+        name: s.torrentName,
+        language: s.language,
+        quality: s.quality,
+        seeders: s.seeders,
+        isCached: s.isCached,
+    };
+}
 
-        let imdbId, season, episode;
-        if (type === 'series') {
-            [imdbId, season, episode] = id.split(':');
-        } else {
-            imdbId = id;
-        }
+// Stream handler for the addon; also used to find the next episode's stream for prefetching.
+// Runs in its own request context (nested under the HTTP request's, if any).
+function buildStreams(args) {
+    const { contentId: imdbId, season, episode } = parseStremioId(args.id);
+    return runWithRequestContext({ type: args.type, imdbId, season, episode }, () => collectStreams(args));
+}
 
-        const meta = await getMetaDetails(imdbId, type);
-        if (!meta) return { streams: [] };
-
-        const torrents = await searchTorrents(meta.name, type === 'series' ? 'tv_show' : 'movie', 100);
-        if (!torrents.length) return { streams: [] };
-
-        // P2P stream mapper (used only in pure P2P mode)
-        const mapToP2PStreams = (sortedStreams) =>
-            sortedStreams.map(s => ({
-                name: `[Bitgraph P2P] ${s.language.toUpperCase()} | ${s.quality.toUpperCase()}`,
-                title: `${s.torrentName}\n💾 ${formatSize(s.size)} | 👤 ${s.seeders} seeders`,
-                infoHash: s.infoHash,
-                fileIdx: s.fileIndex ?? 0,
-                behaviorHints: { notWebReady: true, bingeGroup: type === 'series' ? imdbId : undefined },
-            }));
-
-        const mapToDebridStreams = (sortedStreams) =>
-            sortedStreams.map(s => {
-                const prefix = s.isCached ? '⚡' : '⌛';
-                const url = `${APP_HOST}/${ADDON_ID}/stream/${type}/${id}/${s.infoHash}`;
-                return {
-                    name: `[${prefix} RD] ${s.language.toUpperCase()} | ${s.quality.toUpperCase()}`,
-                    title: `${s.torrentName}\n💾 ${formatSize(s.size)} | 👤 ${s.seeders} seeders`,
-                    url,
-                };
-            });
-
-        const cachedRows = debrid.isEnabled && DEBRID_PROVIDER
-            ? (await pool.query(
-                "SELECT * FROM torrents WHERE tmdb_id = $1 AND content_type = $2 AND torrent_info_json IS NOT NULL AND provider = $3",
-                [imdbId, type, DEBRID_PROVIDER]
-            )).rows
-            : [];
-
-        let resultStreams = [], cachedStreams = [];
-
-        if (type === 'series') {
-            const sVal = parseInt(season, 10);
-            const sPadded = sVal < 10 ? `S0${sVal}` : `S${sVal}`;
-            const refinedQuery = `${meta.name} ${sPadded}`;
-            const refinedTorrents = await searchTorrents(refinedQuery, 'tv_show', 50);
-            const refinedResult = await matcher.findBestSeriesStreams(
-                meta, parseInt(season), parseInt(episode), refinedTorrents, cachedRows, PREFERRED_LANGUAGES
+// `args.trace` (only set by /debug/match) collects the metadata, every search with
+// the matcher's decision per candidate, and the final sorted list.
+async function collectStreams(args) {
+    const { type, id, config, trace } = args;
+    logger.info(`[ADDON] Stream request received for type: ${type}, id: ${id}`);
+
+    const settings = resolveSettings(config);
+    const providers = getDebridProviders(settings);
+    const { preferredLanguages } = settings;
+    const configSegment = config && Object.keys(config).length
+        ? `/${encodeUserConfig(config, { ttlSeconds: STREAM_URL_TTL_HOURS * 3600 })}`
+        : '';
+
+    // An IMDb id, or kitsu:/mal: for anime catalogs
+    const { contentId: imdbId } = parseStremioId(id);
+
+    const meta = await getMetaDetails(imdbId, type);
+    if (trace) trace.meta = meta;
+    if (!meta) return { streams: [] };
+
+    // Returns the array the matcher records this search's decisions in
+    const traceSearch = (query, results) => {
+        if (!trace) return undefined;
+        const candidates = [];
+        trace.searches.push({ query, results: results.length, candidates });
+        return candidates;
+    };
+
+    const torrents = await searchTorrents(meta.name, type === 'series' ? 'tv_show' : 'movie', 100);
+    if (!torrents.length) return { streams: [] };
+
+    // Multi-episode files ("S02E05E06") say which episodes they hold
+    const streamTitle = (s) => {
+        const episodes = s.episodes ? ` | 🎞️ E${s.episodes[0]}-E${s.episodes[s.episodes.length - 1]}` : '';
+        return `${s.torrentName}\n💾 ${formatSize(s.size)} | 👤 ${s.seeders} seeders${episodes}`;
+    };
+
+    // P2P stream mapper (used only in pure P2P mode)
+    const mapToP2PStreams = (sortedStreams) =>
+        sortedStreams.map(s => ({
+            name: `[Bitgraph P2P] ${s.language.toUpperCase()} | ${s.quality.toUpperCase()}`,
+            title: streamTitle(s),
+            infoHash: s.infoHash,
+            fileIdx: s.fileIndex ?? 0,
+            behaviorHints: { notWebReady: true, bingeGroup: type === 'series' ? imdbId : undefined },
+        }));
+
+    const mapToDebridStream = (s, debrid) => {
+        const prefix = s.isCached ? '⚡' : s.preparingProgress !== undefined ? `⌛ ${s.preparingProgress}%` : '⌛';
+        let url = `${APP_HOST}/${ADDON_ID}${configSegment}/stream/${debrid.name}/${type}/${id}/${s.infoHash}`;
+        // Autoplay keeps provider, language and quality; the API server reads the group back to prefetch the next episode
+        const bingeGroup = type === 'series' ? `${ADDON_ID}|${debrid.name}|${s.language}|${s.quality}` : undefined;
+        if (bingeGroup) url += `?bingeGroup=${encodeURIComponent(bingeGroup)}`;
+        return {
+            name: `[${prefix} ${debrid.shortName}] ${s.language.toUpperCase()} | ${s.quality.toUpperCase()}`,
+            title: streamTitle(s),
+            url,
+            behaviorHints: { bingeGroup },
+        };
+    };
+
+    const cachedRows = await loadCachedTorrents(imdbId, type, providers);
+
+    let resultStreams = [], cachedStreams = [];
+
+    if (type === 'series') {
+        // absoluteEpisode is only set for anime numbered from its first episode
+        // (see src/episodeNumbering.js)
+        const target = await resolveEpisode(id);
+        const { season: sVal, episode: eVal, absoluteEpisode } = target;
+        if (trace) trace.meta = { ...meta, ...(absoluteEpisode && { absoluteEpisode }) };
+
+        // The air date (daily shows) is looked up once a torrent or cached file is named by date
+        const cachedNames = cachedRows.flatMap(row => (row.torrent_info_json?.files || []).map(file => file.path));
+        let airDate = null;
+        const airDateForTorrents = async (torrents) => {
+            airDate = airDate || await airDateFor(target, [...cachedNames, ...torrents.map(t => t.torrent?.name)]);
+            return airDate;
+        };
+
+        const sPadded = sVal < 10 ? `S0${sVal}` : `S${sVal}`;
+        const refinedQuery = `${meta.name} ${sPadded}`;
+        const refinedTorrents = await searchTorrents(refinedQuery, 'tv_show', 50);
+        const refinedResult = await matcher.findBestSeriesStreams(
+            meta, sVal, eVal, absoluteEpisode, await airDateForTorrents(refinedTorrents), refinedTorrents, cachedRows, preferredLanguages,
+            traceSearch(refinedQuery, refinedTorrents)
+        );
+        resultStreams = refinedResult.streams;
+        cachedStreams = refinedResult.cachedStreams;
+
+        const existingHashes = new Set(resultStreams.map(s => s.infoHash));
+        const existingCachedHashes = new Set(cachedStreams.map(s => s.infoHash));
+        const searchMore = async (query, limit) => {
+            const moreTorrents = await searchTorrents(query, 'tv_show', limit);
+            const moreResult = await matcher.findBestSeriesStreams(
+                meta, sVal, eVal, absoluteEpisode, await airDateForTorrents(moreTorrents), moreTorrents, cachedRows, preferredLanguages,
+                traceSearch(query, moreTorrents)
             );
-            resultStreams = refinedResult.streams;
-            cachedStreams = refinedResult.cachedStreams;
-
-            if (refinedTorrents.length < 10 || resultStreams.length === 0) {
-                const broadTorrents = await searchTorrents(meta.name, 'tv_show', 100);
-                const broadResult = await matcher.findBestSeriesStreams(
-                    meta, parseInt(season), parseInt(episode), broadTorrents, cachedRows, PREFERRED_LANGUAGES
-                );
-                const existingHashes = new Set(resultStreams.map(s => s.infoHash));
-                for (const stream of broadResult.streams) {
-                    if (!existingHashes.has(stream.infoHash)) {
-                        resultStreams.push(stream);
-                        existingHashes.add(stream.infoHash);
-                    }
+            for (const stream of moreResult.streams) {
+                if (!existingHashes.has(stream.infoHash)) {
+                    resultStreams.push(stream);
+                    existingHashes.add(stream.infoHash);
                 }
-                const existingCachedHashes = new Set(cachedStreams.map(s => s.infoHash));
-                for (const stream of broadResult.cachedStreams) {
-                    if (!existingCachedHashes.has(stream.infoHash)) {
-                        cachedStreams.push(stream);
-                        existingCachedHashes.add(stream.infoHash);
-                    }
+            }
+            for (const stream of moreResult.cachedStreams) {
+                if (!existingCachedHashes.has(stream.infoHash)) {
+                    cachedStreams.push(stream);
+                    existingCachedHashes.add(stream.infoHash);
                 }
             }
-        } else {
-            const movieMetaForMatcher = { title: meta.name, release_date: meta.year ? `${meta.year}-01-01` : null };
-            const movieResult = await matcher.findBestMovieStreams(
-                movieMetaForMatcher, torrents, cachedRows, PREFERRED_LANGUAGES
-            );
-            resultStreams = movieResult.streams;
-            cachedStreams = movieResult.cachedStreams;
+        };
+
+        // Fansub releases carry the absolute number instead of SxxEyy ("Show - 1071")
+        if (absoluteEpisode) {
+            await searchMore(`${meta.name} ${String(absoluteEpisode).padStart(2, '0')}`, 50);
         }
+        if (refinedTorrents.length < 10 || resultStreams.length === 0) {
+            await searchMore(meta.name, 100);
+        }
+        // Daily shows are released by date ("Show 2026.10.18") and rarely found by season:
+        // once the results showed dated names, search the episode's own date
+        if (airDate && resultStreams.length === 0) {
+            await searchMore(`${meta.name} ${airDate.replace(/-/g, ' ')}`, 50);
+        }
+        if (trace && airDate) trace.meta.airDate = airDate;
+    } else {
+        const movieMetaForMatcher = { title: meta.name, release_date: meta.year ? `${meta.year}-01-01` : null };
+        const movieResult = await matcher.findBestMovieStreams(
+            movieMetaForMatcher, torrents, cachedRows, preferredLanguages, traceSearch(meta.name, torrents)
+        );
+        resultStreams = movieResult.streams;
+        cachedStreams = movieResult.cachedStreams;
+    }
 
-        const sortedStreams = matcher.sortAndFilterStreams(resultStreams, cachedStreams, PREFERRED_LANGUAGES);
-        logger.info(`[ADDON] Total sorted streams: ${sortedStreams.length}`);
+    // ========== Debrid: one sorted list per provider ==========
+    // A provider's list holds its own DB-cached rows plus every matched torrent,
+    // including ones so far only cached by another provider.
+    if (providers.length) {
+        const debridStreams = [];
+        for (const debrid of providers) {
+            const ownCached = cachedStreams.filter(s => s.provider === debrid.providerKey);
+            const seen = new Set(ownCached.map(s => s.infoHash));
+            const candidates = [];
+            for (const s of [...resultStreams, ...cachedStreams]) {
+                if (seen.has(s.infoHash)) continue;
+                seen.add(s.infoHash);
+                candidates.push({ ...s, provider: debrid.providerKey, isCached: false });
+            }
 
-        // ── TorBox: checkCached + instant‑playback cache ──────────
-        if (debrid.isEnabled && typeof debrid.checkCached === 'function') {
-            const hashesToCheck = sortedStreams.map(s => s.infoHash);
-            if (hashesToCheck.length > 0) {
-                logger.debug(`[ADDON] Calling debrid.checkCached for ${hashesToCheck.length} hashes.`);
-                try {
-                    const cacheStatus = await debrid.checkCached(hashesToCheck);
-
-                    for (const s of sortedStreams) {
-                        const cs = cacheStatus[s.infoHash];
-                        if (cs && cs.cached) {
-                            s.isCached = true;
-
-                            if (cs.torrent_id) {
-                                const files = (cs.files || []).map(f => ({
-                                    id: f.id,
-                                    path: f.name,
-                                    bytes: f.size,
-                                    selected: 1,
-                                }));
-                                const resolved = {
-                                    id: cs.torrent_id,
-                                    filename: cs.name,
-                                    files,
-                                    status: 'downloaded',
-                                };
-                                torrentInfoCache.set(s.infoHash, resolved);
-                                logger.debug(`[ADDON] Stored pre-resolved info for ${s.infoHash} (torrentId=${cs.torrent_id})`);
-                            }
-                        } else {
-                            s.isCached = false;
-                        }
-                    }
-                    const cachedCount = sortedStreams.filter(s => s.isCached).length;
-                    logger.info(`[ADDON] checkCached result: ${cachedCount} / ${sortedStreams.length} cached.`);
-                } catch (err) {
-                    logger.warn(`[ADDON] checkCached failed, treating all as uncached: ${err.message}`);
-                    sortedStreams.forEach(s => s.isCached = false);
-                }
+            // Mark instant candidates first so sorting ranks them ahead of the rest
+            await markCachedStreams(debrid, candidates);
+            // Torrents still downloading in a background job show their progress
+            const progress = isDbAvailable()
+                ? await getProcessingProgress(candidates.map(s => `${debrid.providerKey}:${s.infoHash}`)).catch(() => new Map())
+                : new Map();
+            for (const s of candidates) {
+                const p = progress.get(`${debrid.providerKey}:${s.infoHash}`);
+                if (p !== undefined) s.preparingProgress = p;
             }
+            const providerSorted = matcher.sortAndFilterStreams(candidates, ownCached, preferredLanguages, settings);
+            logger.info(`[ADDON] ${debrid.name}: ${providerSorted.length} sorted streams.`);
+            debridStreams.push(...providerSorted.map(s => ({ s, debrid })));
         }
 
-        // ========== Fix missing fileIndex for P2P movies (only when P2P mode) ==========
-        if (!debrid.isEnabled) {
-            const torrentMap = new Map(torrents.map(t => [t.infoHash, t.torrent]));
-            for (const stream of sortedStreams) {
-                if (stream.fileIndex === undefined) {
-                    const torrentData = torrentMap.get(stream.infoHash);
-                    if (torrentData && torrentData.filesStatus === 'multi') {
-                        try {
-                            const files = await getTorrentFiles(stream.infoHash);
-                            if (files && files.length > 0) {
-                                const videoFiles = files.filter(f => f.fileType === 'video');
-                                if (videoFiles.length > 0) {
-                                    const largest = videoFiles.reduce((a, b) => (a.size > b.size ? a : b));
-                                    stream.fileIndex = largest.index;
-                                } else {
-                                    stream.fileIndex = 0;
-                                }
-                            } else {
-                                stream.fileIndex = 0;
-                            }
-                        } catch (err) {
+        // Instant streams first across providers; order within each group is preserved
+        debridStreams.sort((a, b) => Number(b.s.isCached) - Number(a.s.isCached));
+        if (trace) trace.sorted = debridStreams.map(({ s, debrid }) => describeSorted(s, debrid.name));
+        return { streams: debridStreams.map(({ s, debrid }) => mapToDebridStream(s, debrid)) };
+    }
+
+    const sortedStreams = matcher.sortAndFilterStreams(resultStreams, cachedStreams, preferredLanguages, settings);
+    logger.info(`[ADDON] Total sorted streams: ${sortedStreams.length}`);
+    if (trace) trace.sorted = sortedStreams.map(s => describeSorted(s, 'p2p'));
+
+    // ========== Fix missing fileIndex for P2P movies (P2P mode only reaches here) ==========
+    const torrentMap = new Map(torrents.map(t => [t.infoHash, t.torrent]));
+    for (const stream of sortedStreams) {
+        if (stream.fileIndex === undefined) {
+            const torrentData = torrentMap.get(stream.infoHash);
+            if (torrentData && torrentData.filesStatus === 'multi') {
+                try {
+                    const files = await getTorrentFiles(stream.infoHash);
+                    if (files && files.length > 0) {
+                        const videoFiles = files.filter(f => f.fileType === 'video');
+                        if (videoFiles.length > 0) {
+                            const largest = videoFiles.reduce((a, b) => (a.size > b.size ? a : b));
+                            stream.fileIndex = largest.index;
+                        } else {
                             stream.fileIndex = 0;
                         }
                     } else {
                         stream.fileIndex = 0;
                     }
+                } catch (err) {
+                    stream.fileIndex = 0;
                 }
+            } else {
+                stream.fileIndex = 0;
             }
         }
+    }
 
-        // ========== Build final stream list ==========
-        const streams = [];
-        if (debrid.isEnabled) {
-            streams.push(...mapToDebridStreams(sortedStreams));
-        } else {
-            streams.push(...mapToP2PStreams(sortedStreams));
+    // ========== Build final stream list ==========
+    return { streams: mapToP2PStreams(sortedStreams) };
+}
+
+// ================== ADDON SERVER ==================
+async function startAddonServer() {
+    await initDb();
+    startCacheGc();
+    const builder = new addonBuilder(manifest);
+
+    builder.defineStreamHandler(buildStreams);
+
+    const addonInterface = builder.getInterface();
+    const app = express();
+    app.use(cors());
+    app.use(requestContextMiddleware);
+    mountHealthRoutes(app);
+
+    // Configure page (also reachable from an installed addon as /{config}/configure)
+    const configureHtml = renderConfigurePage(manifest);
+    app.get('/', (_, res) => res.redirect('/configure'));
+    app.get(['/configure', '/:config/configure'], (_, res) => {
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        res.end(configureHtml);
+    });
+    // The secret never leaves the server, so the install token is sealed here
+    app.post('/configure', express.json(), (req, res) => {
+        const config = pickUserConfig(req.body);
+        const missingKeys = ALLOW_SERVER_KEY_FALLBACK ? [] : servicesWithoutKey(resolveSettings(config));
+        if (missingKeys.length) {
+            return res.status(400).json({ err: `Enter your API key for ${missingKeys.join(', ')}, or pick "Server default".` });
         }
+        const token = encodeUserConfig(config);
+        res.json({ token, sealed: isSealingEnabled });
+    });
 
-        return { streams };
+    // Configured installs: /{config}/manifest.json and /{config}/stream/...
+    const readConfig = (req, res) => {
+        try {
+            const config = decodeUserConfig(req.params.config);
+            if (!config) res.status(400).json({ err: 'invalid config' });
+            return config;
+        } catch (err) {
+            logger.warn(`[ADDON] Rejected config token: ${err.message}`);
+            res.status(403).json({ err: err.message });
+            return null;
+        }
+    };
+    app.get('/:config/manifest.json', (req, res) => {
+        if (!readConfig(req, res)) return;
+        res.json(manifest);
+    });
+    app.get('/:config/stream/:type/:id.json', async (req, res) => {
+        const { type, id } = req.params;
+        const config = readConfig(req, res);
+        if (!config) return;
+        try {
+            const resp = await addonInterface.get('stream', type, id, {}, config);
+            res.json(resp);
+        } catch (err) {
+            logger.error(`[ADDON] Configured stream handler failed: ${err.message}`);
+            res.status(500).json({ err: 'handler error' });
+        }
     });
 
-    serveHTTP(builder.getInterface(), { port: PORT });
-    logger.info(`[ADDON] Stremio addon server listening on http://127.0.0.1:${PORT}`);
-    logger.info(`[ADDON] To install, use: ${APP_HOST}/manifest.json`);
+    // Unconfigured installs fall through to the SDK router
+    app.use(getRouter(addonInterface));
+
+    app.listen(PORT, () => {
+        logger.info(`[ADDON] Stremio addon server listening on http://127.0.0.1:${PORT}`);
+        logger.info(`[ADDON] To configure, open: http://127.0.0.1:${PORT}/configure`);
+    });
 }
 
 startApiServer();
@@ -4,10 +4,13 @@ export const manifest = {
     id: ADDON_ID,
     version: ADDON_VERSION,
     name: ADDON_NAME,
-    description: 'Streams Movies & TV Shows from Bitmagnet via Real-Debrid.',
+    description: 'Streams Movies, TV Shows & Anime from Bitmagnet via Real-Debrid.',
     resources: ['stream'],
     // UPDATED: Now supports both movies and series
     types: ['movie', 'series'],
-    idPrefixes: ['tt'],
+    // IMDb ids, plus Kitsu and MyAnimeList ids from anime catalogs
+    idPrefixes: ['tt', 'kitsu:', 'mal:'],
     catalogs: [],
+    // Per-user settings live in a /{config}/ path segment built by /configure
+    behaviorHints: { configurable: true },
 };
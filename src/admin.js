@@ -0,0 +1,137 @@
+// File: src/admin.js
+// Version: 1.4 – Evicting a torrent also drops its debrid_cache row
+
+import express from 'express';
+import { timingSafeEqual } from 'crypto';
+import { ADMIN_TOKEN } from '../config.js';
+import { storage } from '../db.js';
+import { getProviderByKey } from './debrid/index.js';
+import { runCacheGc, evictDeadTorrent } from './debrid/staleTorrents.js';
+import { renderAdminPage } from './adminPage.js';
+import { logger } from './utils.js';
+
+const MAX_LIMIT = 500;
+
+function isAuthorized(req) {
+    const header = req.get('authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+    const expected = Buffer.from(ADMIN_TOKEN);
+    const given = Buffer.from(token);
+    return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/**
+ * Express middleware: 401 unless the request carries `Authorization: Bearer <ADMIN_TOKEN>`.
+ * Also guards admin-only routes mounted outside this router.
+ */
+export function requireAdmin(req, res, next) {
+    if (isAuthorized(req)) return next();
+    logger.warn(`[ADMIN] Rejected ${req.method} ${req.originalUrl} from ${req.ip}`);
+    res.status(401).json({ err: 'unauthorized' });
+}
+
+// Express 4 does not forward rejected promises to the error handler
+const asyncRoute = (fn) => (req, res, next) => fn(req, res).catch(next);
+
+function paging(query) {
+    const limit = Math.min(parseInt(query.limit, 10) || 100, MAX_LIMIT);
+    const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+    return { limit, offset };
+}
+
+// Evicting a torrent also drops what was derived from it (debrid cache entry included,
+// or Real-Debrid would keep reporting the hash as instant), so the next click re-resolves
+function evictTorrent(row, reason) {
+    return evictDeadTorrent(row.provider, row.infohash, reason);
+}
+
+/**
+ * Routes for the admin dashboard, mounted at /admin on the API server.
+ * The HTML page itself holds no data; every /api route needs the bearer token.
+ * @returns {express.Router}
+ */
+export function createAdminRouter() {
+    const router = express.Router();
+    const pageHtml = renderAdminPage();
+
+    router.get('/', (_, res) => {
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        res.end(pageHtml);
+    });
+
+    router.use('/api', requireAdmin);
+
+    // Counts per provider for the page header
+    router.get('/api/summary', asyncRoute(async (_, res) => {
+        res.json(await storage.getSummary());
+    }));
+
+    // ?title= matches the IMDb id or the torrent name, ?provider= the provider key
+    router.get('/api/torrents', asyncRoute(async (req, res) => {
+        const { limit, offset } = paging(req.query);
+        const rows = await storage.listTorrents({ title: req.query.title, provider: req.query.provider, limit, offset });
+        res.json({ torrents: rows, limit, offset });
+    }));
+
+    router.delete('/api/torrents/:id(\\d+)', asyncRoute(async (req, res) => {
+        const row = await storage.getTorrentById(req.params.id);
+        if (!row) return res.status(404).json({ err: 'not found' });
+        await evictTorrent(row, 'admin');
+        logger.info(`[ADMIN] Evicted torrent ${row.infohash} (${row.provider}).`);
+        res.json({ evicted: row.id });
+    }));
+
+    // Asks the provider whether the stored torrent still exists; refreshes or evicts the row
+    router.post('/api/torrents/:id(\\d+)/verify', asyncRoute(async (req, res) => {
+        const row = await storage.getTorrentById(req.params.id);
+        if (!row) return res.status(404).json({ err: 'not found' });
+
+        const debrid = getProviderByKey(row.provider);
+        if (!debrid) {
+            return res.status(409).json({ err: `No API key available for ${row.provider} on this server.` });
+        }
+        try {
+            const info = await debrid.getTorrentInfo(row.torrent_info_json?.id);
+            if (info.status !== 'downloaded') {
+                await evictTorrent(row, 'dead');
+                logger.info(`[ADMIN] Verify ${row.infohash}: status ${info.rawStatus}, evicted.`);
+                return res.json({ result: 'evicted', status: info.status });
+            }
+            await storage.updateTorrentInfo(row.id, info);
+            res.json({ result: 'ok', status: info.status });
+        } catch (err) {
+            if (err.name !== 'ResourceNotFoundError') throw err;
+            await evictTorrent(row, 'dead');
+            logger.info(`[ADMIN] Verify ${row.infohash}: gone from ${debrid.name}, evicted.`);
+            res.json({ result: 'evicted', status: 'missing' });
+        }
+    }));
+
+    router.get('/api/debrid-cache', asyncRoute(async (req, res) => {
+        const { limit, offset } = paging(req.query);
+        const rows = await storage.listCacheEntries({ provider: req.query.provider, status: req.query.status, limit, offset });
+        res.json({ debridCache: rows, limit, offset });
+    }));
+
+    router.delete('/api/debrid-cache/:id(\\d+)', asyncRoute(async (req, res) => {
+        if (!(await storage.deleteCacheEntryById(req.params.id))) return res.status(404).json({ err: 'not found' });
+        res.json({ evicted: Number(req.params.id) });
+    }));
+
+    // One cache GC pass now instead of waiting for CACHE_GC_INTERVAL_MINUTES
+    router.post('/api/gc', asyncRoute(async (_, res) => {
+        res.json(await runCacheGc());
+    }));
+
+    // In-flight and recent resolve jobs (the shared processing lock)
+    router.get('/api/jobs', asyncRoute(async (_, res) => {
+        res.json({ jobs: await storage.listJobs() });
+    }));
+
+    router.use((err, req, res, _next) => {
+        logger.error(`[ADMIN] ${req.method} ${req.originalUrl} failed: ${err.message}`);
+        res.status(500).json({ err: err.message });
+    });
+
+    return router;
+}
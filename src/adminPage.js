@@ -0,0 +1,160 @@
+// File: src/adminPage.js
+// Version: 1.2 – API calls use an absolute path so /admin works without a trailing slash
+
+/**
+ * Renders the admin dashboard. The page asks for the ADMIN_TOKEN once, keeps it
+ * in sessionStorage and calls the JSON API in src/admin.js with it.
+ * @returns {string} HTML document.
+ */
+export function renderAdminPage() {
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>Admin – Cached torrents</title>
+    <style>
+        body { font-family: sans-serif; background: #1b1b2f; color: #eee; margin: 24px; }
+        h2 { margin-top: 32px; }
+        table { border-collapse: collapse; width: 100%; font-size: 13px; }
+        th, td { border-bottom: 1px solid #333; padding: 6px 8px; text-align: left; vertical-align: top; }
+        th { color: #aaa; font-weight: 600; }
+        td.name { max-width: 420px; word-break: break-all; }
+        input, select, button { padding: 6px 8px; margin-right: 6px; }
+        button { background: #8a5cf6; color: #fff; border: 0; border-radius: 4px; cursor: pointer; }
+        button.danger { background: #c0392b; }
+        #summary span { margin-right: 18px; }
+        #error { color: #ff6b6b; }
+    </style>
+</head>
+<body>
+    <h1>Cached torrents</h1>
+    <p id="summary"></p>
+    <p><button data-gc="1">Run cache GC</button></p>
+    <p id="error"></p>
+
+    <h2>Torrents</h2>
+    <form id="torrentFilter">
+        <input name="title" placeholder="IMDb id or name">
+        <input name="provider" placeholder="Provider key">
+        <button type="submit">Filter</button>
+    </form>
+    <table>
+        <thead><tr><th>Title</th><th>Torrent</th><th>Provider</th><th>Quality</th><th>Language</th><th>Last used</th><th></th></tr></thead>
+        <tbody id="torrents"></tbody>
+    </table>
+
+    <h2>Debrid cache</h2>
+    <form id="cacheFilter">
+        <input name="provider" placeholder="Provider key">
+        <input name="status" placeholder="Status">
+        <button type="submit">Filter</button>
+    </form>
+    <table>
+        <thead><tr><th>Hash</th><th>Provider</th><th>Torrent ID</th><th>Status</th><th>Updated</th><th></th></tr></thead>
+        <tbody id="cache"></tbody>
+    </table>
+
+    <h2>Resolve jobs</h2>
+    <table>
+        <thead><tr><th>Job</th><th>State</th><th>Progress</th><th>Owner</th><th>Error</th><th>Expires</th></tr></thead>
+        <tbody id="jobs"></tbody>
+    </table>
+
+    <script>
+        let token = sessionStorage.getItem('adminToken');
+        if (!token) {
+            token = prompt('Admin token');
+            sessionStorage.setItem('adminToken', token || '');
+        }
+
+        const esc = (v) => String(v ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+        const when = (v) => v ? new Date(v).toLocaleString() : '';
+
+        async function api(path, options = {}) {
+            const res = await fetch('/admin/api/' + path, { ...options, headers: { Authorization: 'Bearer ' + token } });
+            const body = await res.json();
+            if (res.status === 401) sessionStorage.removeItem('adminToken');
+            if (!res.ok) throw new Error(body.err || res.statusText);
+            return body;
+        }
+
+        function query(form) {
+            return new URLSearchParams([...new FormData(form)].filter(([, v]) => v)).toString();
+        }
+
+        async function loadSummary() {
+            const { torrents, jobs } = await api('summary');
+            document.getElementById('summary').innerHTML =
+                torrents.map(t => '<span>' + esc(t.provider) + ': ' + t.count + ' torrents</span>').join('') +
+                jobs.map(j => '<span>' + esc(j.state) + ': ' + j.count + ' jobs</span>').join('');
+        }
+
+        async function loadTorrents() {
+            const { torrents } = await api('torrents?' + query(document.getElementById('torrentFilter')));
+            document.getElementById('torrents').innerHTML = torrents.map(t =>
+                '<tr><td>' + esc(t.tmdb_id) + ' (' + esc(t.content_type) + ')</td>' +
+                '<td class="name">' + esc(t.filename) + '<br><small>' + esc(t.infohash) + '</small></td>' +
+                '<td>' + esc(t.provider) + '</td><td>' + esc(t.quality) + '</td><td>' + esc(t.language) + '</td>' +
+                '<td>' + when(t.last_used_at) + '</td>' +
+                '<td><button data-verify="' + t.id + '">Re-verify</button><button class="danger" data-evict="' + t.id + '">Evict</button></td></tr>'
+            ).join('');
+        }
+
+        async function loadCache() {
+            const { debridCache } = await api('debrid-cache?' + query(document.getElementById('cacheFilter')));
+            document.getElementById('cache').innerHTML = debridCache.map(c =>
+                '<tr><td>' + esc(c.hash) + '</td><td>' + esc(c.provider) + '</td><td>' + esc(c.provider_torrent_id) + '</td>' +
+                '<td>' + esc(c.status) + '</td><td>' + when(c.updated_at) + '</td>' +
+                '<td><button class="danger" data-evict-cache="' + c.id + '">Evict</button></td></tr>'
+            ).join('');
+        }
+
+        async function loadJobs() {
+            const { jobs } = await api('jobs');
+            document.getElementById('jobs').innerHTML = jobs.map(j =>
+                '<tr><td>' + esc(j.lock_key) + '</td><td>' + esc(j.state) + '</td><td>' + esc(j.progress) + '%</td>' +
+                '<td>' + esc(j.owner) + '</td><td>' + esc(j.error) + '</td><td>' + when(j.expires_at) + '</td></tr>'
+            ).join('');
+        }
+
+        async function refresh() {
+            try {
+                await Promise.all([loadSummary(), loadTorrents(), loadCache(), loadJobs()]);
+                document.getElementById('error').textContent = '';
+            } catch (err) {
+                document.getElementById('error').textContent = err.message;
+            }
+        }
+
+        document.addEventListener('click', async (e) => {
+            const { verify, evict, evictCache, gc } = e.target.dataset;
+            try {
+                if (verify) {
+                    const { result, status } = await api('torrents/' + verify + '/verify', { method: 'POST' });
+                    alert('Re-verify: ' + result + ' (' + status + ')');
+                } else if (evict) {
+                    await api('torrents/' + evict, { method: 'DELETE' });
+                } else if (evictCache) {
+                    await api('debrid-cache/' + evictCache, { method: 'DELETE' });
+                } else if (gc) {
+                    const { expired, dead } = await api('gc', { method: 'POST' });
+                    const deadCount = Object.values(dead).reduce((sum, n) => sum + n, 0);
+                    alert('Cache GC: ' + expired.torrents + ' torrents and ' + expired.debridCache + ' cache rows expired, ' + deadCount + ' dead torrents evicted');
+                } else {
+                    return;
+                }
+                refresh();
+            } catch (err) {
+                document.getElementById('error').textContent = err.message;
+            }
+        });
+        for (const id of ['torrentFilter', 'cacheFilter']) {
+            document.getElementById(id).onsubmit = (e) => { e.preventDefault(); refresh(); };
+        }
+        refresh();
+        setInterval(loadJobs, 5000);
+    </script>
+</body>
+</html>`;
+}
@@ -1,6 +1,7 @@
 import axios from 'axios';
 import { BITMAGNET_GRAPHQL_ENDPOINT } from '../config.js';
 import { logger } from './utils.js';
+import { searchDuration, searchResults } from './metrics.js';
 
 // R29: The search query is enhanced to fetch the critical `hasFilesInfo` status.
 const torrentContentSearchQuery = `
@@ -78,6 +79,7 @@ export async function searchTorrents(searchString, contentType = 'tv_show', limi
     // Removing quotes and backslashes is usually enough to prevent JSON injection/syntax issues
     const cleanQuery = searchString.replace(/["\\]/g, ''); 
 
+    const endTimer = searchDuration.startTimer({ content_type: contentType });
     const data = await queryGraphQL(torrentContentSearchQuery, {
         input: {
             queryString: cleanQuery,
@@ -89,7 +91,9 @@ export async function searchTorrents(searchString, contentType = 'tv_show', limi
             facets: { contentType: { filter: [contentType] } }
         }
     });
+    endTimer();
     const items = data?.torrentContent?.search?.items;
+    searchResults.observe({ content_type: contentType }, items?.length || 0);
     if (!items) {
         logger.warn(`[BITMAGNET] Search for "${searchString}" returned no items or unexpected structure.`);
         return [];
@@ -97,6 +101,20 @@ export async function searchTorrents(searchString, contentType = 'tv_show', limi
     return items;
 }
 
+/**
+ * Sends a trivial GraphQL query. Unlike queryGraphQL, failures are thrown.
+ * @param {number} timeoutMs
+ */
+export async function pingBitmagnet(timeoutMs) {
+    const response = await axios.post(BITMAGNET_GRAPHQL_ENDPOINT, { query: '{ __typename }' }, {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: timeoutMs,
+    });
+    if (response.data?.errors) {
+        throw new Error(response.data.errors.map(e => e.message).join(', '));
+    }
+}
+
 export async function getTorrentFiles(infoHash) {
     const data = await queryGraphQL(torrentFilesQuery, {
         input: {
@@ -0,0 +1,87 @@
+// File: src/configToken.js
+// Version: 1.0 – AES-256-GCM sealed user config tokens with key rotation
+
+import crypto from 'crypto';
+import { CONFIG_SECRET, CONFIG_SECRET_PREVIOUS } from '../config.js';
+
+const TOKEN_VERSION = 'v1';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+export class ConfigTokenError extends Error {
+  constructor(message = 'Invalid configuration token') {
+    super(message);
+    this.name = 'ConfigTokenError';
+  }
+}
+
+// Each secret becomes a 256-bit key. The key id (kid) is embedded in the token so
+// tokens sealed with a previous secret can still be opened after rotation.
+function deriveKey(secret) {
+  const key = Buffer.from(crypto.hkdfSync('sha256', secret, Buffer.alloc(0), 'stremio-bitgraph-config', 32));
+  const kid = crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+  return { kid, key };
+}
+
+const keys = [CONFIG_SECRET, ...CONFIG_SECRET_PREVIOUS].filter(Boolean).map(deriveKey);
+const keysById = new Map(keys.map(k => [k.kid, k.key]));
+
+export const isSealingEnabled = keys.length > 0;
+
+export function isSealedToken(segment) {
+  return typeof segment === 'string' && segment.startsWith(`${TOKEN_VERSION}.`);
+}
+
+/**
+ * Encrypts a config object into an opaque, URL-safe token using the current secret.
+ * @param {object} config - User config to seal.
+ * @param {object} [options]
+ * @param {number} [options.ttlSeconds] - Token lifetime; omitted means it never expires.
+ * @returns {string} Token of the form v1.<kid>.<iv>.<ciphertext+tag>.
+ */
+export function sealConfig(config, { ttlSeconds } = {}) {
+  if (!isSealingEnabled) throw new ConfigTokenError('CONFIG_SECRET is not set.');
+  const { kid, key } = keys[0];
+  const payload = { c: config };
+  if (ttlSeconds) payload.exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(`${TOKEN_VERSION}.${kid}`));
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final(), cipher.getAuthTag()]);
+  return [TOKEN_VERSION, kid, iv.toString('base64url'), encrypted.toString('base64url')].join('.');
+}
+
+/**
+ * Decrypts and verifies a token produced by sealConfig.
+ * @param {string} token
+ * @returns {object} The sealed config object.
+ * @throws {ConfigTokenError} If the token is malformed, tampered with, sealed with an unknown key, or expired.
+ */
+export function openConfig(token) {
+  const parts = String(token).split('.');
+  if (parts.length !== 4 || parts[0] !== TOKEN_VERSION) throw new ConfigTokenError('Malformed configuration token.');
+  const [version, kid, ivPart, dataPart] = parts;
+
+  const key = keysById.get(kid);
+  if (!key) throw new ConfigTokenError('Configuration token was sealed with an unknown key.');
+
+  let payload;
+  try {
+    const iv = Buffer.from(ivPart, 'base64url');
+    const data = Buffer.from(dataPart, 'base64url');
+    if (iv.length !== IV_BYTES || data.length <= TAG_BYTES) throw new Error('bad length');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAAD(Buffer.from(`${version}.${kid}`));
+    decipher.setAuthTag(data.subarray(data.length - TAG_BYTES));
+    const plain = Buffer.concat([decipher.update(data.subarray(0, data.length - TAG_BYTES)), decipher.final()]);
+    payload = JSON.parse(plain.toString('utf8'));
+  } catch (e) {
+    throw new ConfigTokenError('Configuration token failed verification.');
+  }
+
+  if (payload.exp && payload.exp < Math.floor(Date.now() / 1000)) {
+    throw new ConfigTokenError('Configuration token has expired.');
+  }
+  return payload.c;
+}
@@ -0,0 +1,104 @@
+// File: src/configurePage.js
+// Version: 1.5 – Shows why no URL is built (e.g. a debrid service without its key)
+
+/**
+ * Renders the configuration page. The form is POSTed back to /configure, which
+ * returns the (sealed) segment that decodeUserConfig() in src/userConfig.js reads.
+ * @param {object} manifest - The addon manifest (for name/description).
+ * @returns {string} HTML document.
+ */
+export function renderConfigurePage(manifest) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${manifest.name} – Configure</title>
+    <style>
+        body { font-family: sans-serif; background: #1b1b2f; color: #eee; max-width: 520px; margin: 40px auto; padding: 0 16px; }
+        label { display: block; margin-top: 14px; font-weight: 600; }
+        input, select { width: 100%; padding: 8px; margin-top: 4px; box-sizing: border-box; }
+        input[type=checkbox] { width: auto; }
+        .actions { margin-top: 24px; display: flex; gap: 12px; }
+        .actions a { flex: 1; text-align: center; padding: 10px; background: #8a5cf6; color: #fff; text-decoration: none; border-radius: 4px; }
+        code { word-break: break-all; font-size: 12px; }
+    </style>
+</head>
+<body>
+    <h1>${manifest.name}</h1>
+    <p>${manifest.description}</p>
+    <form id="configForm">
+        <label for="debridService">Debrid service</label>
+        <select id="debridService" name="debridService">
+            <option value="">Server default</option>
+            <option value="realdebrid">Real-Debrid</option>
+            <option value="torbox">TorBox</option>
+            <option value="alldebrid">AllDebrid</option>
+            <option value="premiumize">Premiumize</option>
+            <option value="realdebrid,torbox">Real-Debrid + TorBox</option>
+            <option value="realdebrid,torbox,alldebrid,premiumize">All of them</option>
+            <option value="none">None (P2P only)</option>
+        </select>
+
+        <label for="realdebridApiKey">Real-Debrid API key</label>
+        <input type="password" id="realdebridApiKey" name="realdebridApiKey" autocomplete="off">
+
+        <label for="torboxApiKey">TorBox API key</label>
+        <input type="password" id="torboxApiKey" name="torboxApiKey" autocomplete="off">
+
+        <label for="alldebridApiKey">AllDebrid API key</label>
+        <input type="password" id="alldebridApiKey" name="alldebridApiKey" autocomplete="off">
+
+        <label for="premiumizeApiKey">Premiumize API key</label>
+        <input type="password" id="premiumizeApiKey" name="premiumizeApiKey" autocomplete="off">
+
+        <label for="preferredLanguages">Preferred languages (comma separated, e.g. en,ta)</label>
+        <input type="text" id="preferredLanguages" name="preferredLanguages">
+
+        <label for="streamLimitPerQuality">Streams per language/quality</label>
+        <input type="number" id="streamLimitPerQuality" name="streamLimitPerQuality" min="1">
+
+        <label><input type="checkbox" id="strictLanguageFilter" name="strictLanguageFilter"> Only show preferred languages</label>
+    </form>
+    <div class="actions">
+        <a id="installLink" href="#">Install</a>
+        <a id="copyLink" href="#">Copy URL</a>
+    </div>
+    <p><code id="manifestUrl"></code></p>
+    <p id="warning"></p>
+    <script>
+        const form = document.getElementById('configForm');
+        let manifestUrl = null;
+        const update = async () => {
+            const config = Object.fromEntries(new FormData(form));
+            config.strictLanguageFilter = form.strictLanguageFilter.checked;
+            const res = await fetch('/configure', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(config),
+            });
+            const { token, sealed, err } = await res.json();
+            if (!res.ok) {
+                manifestUrl = null;
+                document.getElementById('manifestUrl').textContent = '';
+                document.getElementById('installLink').href = '#';
+                document.getElementById('warning').textContent = err;
+                return;
+            }
+            manifestUrl = window.location.origin + '/' + token + '/manifest.json';
+            document.getElementById('manifestUrl').textContent = manifestUrl;
+            document.getElementById('installLink').href = manifestUrl.replace(/^https?:/, 'stremio:');
+            document.getElementById('warning').textContent = sealed
+                ? ''
+                : 'Warning: this server has no CONFIG_SECRET, so your API key is visible in the URL.';
+        };
+        document.getElementById('copyLink').onclick = (e) => {
+            e.preventDefault();
+            if (manifestUrl) navigator.clipboard.writeText(manifestUrl);
+        };
+        form.onchange = update;
+        update();
+    </script>
+</body>
+</html>`;
+}
@@ -0,0 +1,158 @@
+// File: src/debrid/alldebrid.js
+// Version: 1.2 – LINK_DOWN throws LinkUnavailableError, not ResourceNotFoundError
+
+import axios from 'axios';
+import { ALLDEBRID_API_KEY, ALLDEBRID_AGENT } from '../../config.js';
+import { logger } from '../utils.js';
+import { defineProvider, normalizeTorrentInfo, DebridError, ResourceNotFoundError, LinkUnavailableError } from './contract.js';
+
+const BASE_URL = 'https://api.alldebrid.com/v4';
+
+// AllDebrid answers HTTP 200 with { status: 'error', error: { code, message } }
+class AllDebridApiError extends DebridError {
+  constructor(code, message) {
+    super(`AllDebrid ${code}: ${message}`, { provider: 'alldebrid', code });
+    this.name = 'AllDebridApiError';
+  }
+}
+
+const NOT_FOUND_CODES = new Set(['MAGNET_INVALID_ID', 'MAGNET_NO_URI']);
+// The file behind a link is gone from the hoster; the magnet itself may still exist
+const DEAD_LINK_CODES = new Set(['LINK_DOWN']);
+
+// statusCode: 0 queued, 1 downloading, 2 compressing/moving, 3 uploading, 4 ready, 5+ errors
+function mapStatus(statusCode) {
+  if (statusCode === 4) return 'downloaded';
+  if (statusCode >= 0 && statusCode <= 3) return 'downloading';
+  return 'error';
+}
+
+// Newer API versions nest files as { n: name, s: size, l: link, e: [children] }
+function flattenFiles(entries, prefix = '') {
+  const files = [];
+  for (const entry of entries || []) {
+    const path = prefix ? `${prefix}/${entry.n}` : entry.n;
+    if (Array.isArray(entry.e)) files.push(...flattenFiles(entry.e, path));
+    else files.push({ path, bytes: entry.s, link: entry.l });
+  }
+  return files;
+}
+
+export function createAllDebrid(apiKey, { providerKey = 'alldebrid', agent = ALLDEBRID_AGENT, baseUrl = BASE_URL } = {}) {
+  let axiosInstance;
+
+  function getAxios() {
+    if (!axiosInstance) {
+      axiosInstance = axios.create({
+        baseURL: baseUrl,
+        headers: { Authorization: `Bearer ${apiKey}` },
+        params: { agent },
+        timeout: 15000,
+      });
+    }
+    return axiosInstance;
+  }
+
+  async function request(path, params = {}) {
+    const { data } = await getAxios().get(path, { params });
+    if (data?.status !== 'success') {
+      const { code = 'UNKNOWN', message = 'Unknown error' } = data?.error || {};
+      if (NOT_FOUND_CODES.has(code)) throw new ResourceNotFoundError(`AllDebrid ${code}: ${message}`, { provider: 'alldebrid', code });
+      if (DEAD_LINK_CODES.has(code)) throw new LinkUnavailableError(`AllDebrid ${code}: ${message}`, { provider: 'alldebrid', code });
+      throw new AllDebridApiError(code, message);
+    }
+    return data.data;
+  }
+
+  return defineProvider({
+    name: 'alldebrid',
+    shortName: 'AD',
+    isEnabled: !!apiKey,
+    providerKey,
+
+    async addMagnet(magnet) {
+      const data = await request('/magnet/upload', { magnets: [magnet] });
+      const result = data.magnets?.[0];
+      if (!result || result.error) {
+        const { code = 'UNKNOWN', message = 'No magnet in response' } = result?.error || {};
+        throw new AllDebridApiError(code, message);
+      }
+      logger.info(`AllDebrid magnet added: ${result.id} (ready=${!!result.ready})`);
+      return { id: result.id, hash: result.hash, name: result.name, cached: !!result.ready };
+    },
+
+    async getTorrentInfo(id) {
+      const data = await request('/magnet/status', { id });
+      const magnet = Array.isArray(data.magnets) ? data.magnets[0] : data.magnets;
+      if (!magnet) throw new ResourceNotFoundError(`Magnet ${id} not found.`, { provider: 'alldebrid' });
+
+      const entries = (magnet.links || []).map(l => (
+        Array.isArray(l.files) && l.files.length
+          ? { ...flattenFiles(l.files)[0], link: l.link }
+          : { path: l.filename, bytes: l.size, link: l.link }
+      ));
+      const files = entries.map((f, index) => ({ id: index, path: f.path, bytes: f.bytes, selected: 1 }));
+
+      return normalizeTorrentInfo({
+        id: magnet.id,
+        hash: magnet.hash,
+        filename: magnet.filename,
+        bytes: magnet.size,
+        status: mapStatus(magnet.statusCode),
+        rawStatus: magnet.status,
+        progress: magnet.size ? Math.round((magnet.downloaded || 0) / magnet.size * 100) : 0,
+        seeders: magnet.seeders,
+        files,
+        links: entries.map(f => f.link),
+      }, 'alldebrid');
+    },
+
+    // AllDebrid downloads every file of a magnet; there is nothing to select
+    async selectFiles(id) {
+      logger.debug(`AllDebrid selectFiles(${id}) – no-op`);
+    },
+
+    async unrestrictLink(link) {
+      const data = await request('/link/unlock', { link });
+      return { download: data.link, filename: data.filename, filesize: data.filesize };
+    },
+
+    async deleteTorrent(id) {
+      await request('/magnet/delete', { id });
+      logger.info(`AllDebrid magnet deleted: ${id}`);
+    },
+
+    async getTorrents() {
+      const data = await request('/magnet/status');
+      const list = Array.isArray(data.magnets) ? data.magnets : Object.values(data.magnets || {});
+      return list.map(m => ({
+        id: m.id,
+        hash: m.hash,
+        filename: m.filename,
+        status: mapStatus(m.statusCode),
+      }));
+    },
+
+    async checkCached(hashes) {
+      if (!Array.isArray(hashes) || hashes.length === 0) return {};
+      const result = {};
+      hashes.forEach(h => result[h] = { cached: false, files: [] });
+      try {
+        const data = await request('/magnet/instant', { magnets: hashes });
+        for (const m of data.magnets || []) {
+          const hash = hashes.find(h => h.toLowerCase() === String(m.hash || m.magnet).toLowerCase());
+          if (hash) result[hash] = { cached: !!m.instant, files: [] };
+        }
+        const cachedCount = Object.values(result).filter(v => v.cached).length;
+        logger.info(`[AD] checkCached: ${cachedCount}/${hashes.length} cached.`);
+      } catch (err) {
+        logger.warn(`[AD] checkCached failed: ${err.message}`);
+      }
+      return result;
+    },
+  });
+}
+
+const alldebrid = createAllDebrid(ALLDEBRID_API_KEY);
+
+export default alldebrid;
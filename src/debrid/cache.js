@@ -1,106 +1,54 @@
 // File: src/debrid/cache.js
-// Version: 2.1 - Add getByProviderId for reverse lookups
-
-import pg from 'pg';
-import { DATABASE_URL, DEBRID_CACHE_TABLE } from '../../config.js';
-
-let pool;
-function getPool() {
-  if (!pool) {
-    pool = new pg.Pool({ connectionString: DATABASE_URL });
+// Version: 2.4 - Queries go through the shared storage backend (Postgres or SQLite)
+
+import { storage, isDbAvailable, reportDbError } from '../../db.js';
+
+// In degraded mode (see db.js) the cache behaves as empty and drops writes, so
+// providers keep working without their history.
+async function degradable(fallback, fn) {
+  if (!isDbAvailable()) return fallback;
+  try {
+    return await fn();
+  } catch (err) {
+    if (!reportDbError(err)) throw err;
+    return fallback;
   }
-  return pool;
 }
 
 export function createCache(provider) {
-  const table = DEBRID_CACHE_TABLE;
-
   return {
     async get(hash) {
-      const client = await getPool().connect();
-      try {
-        const res = await client.query(
-          `SELECT * FROM ${table} WHERE provider = $1 AND hash = $2`,
-          [provider, hash]
-        );
-        return res.rows[0] || null;
-      } finally {
-        client.release();
-      }
+      return degradable(null, () => storage.getCacheEntry(provider, hash));
     },
 
     async set(hash, data) {
-      const client = await getPool().connect();
-      try {
-        const { provider_torrent_id, status, extra } = data;
-        const jsonData = extra || {};
-        await client.query(
-          `INSERT INTO ${table} (provider, hash, provider_torrent_id, status, data)
-           VALUES ($1, $2, $3, $4, $5)
-           ON CONFLICT (provider, hash)
-           DO UPDATE SET
-             provider_torrent_id = EXCLUDED.provider_torrent_id,
-             status = EXCLUDED.status,
-             data = EXCLUDED.data,
-             updated_at = NOW()`,
-          [provider, hash, provider_torrent_id, status, JSON.stringify(jsonData)]
-        );
+      return degradable(false, async () => {
+        await storage.setCacheEntry(provider, hash, data);
         return true;
-      } finally {
-        client.release();
-      }
+      });
     },
 
     async update(hash, updates) {
-      const client = await getPool().connect();
-      try {
-        const sets = [];
-        const values = [provider, hash];
-        if (updates.provider_torrent_id !== undefined) {
-          sets.push(`provider_torrent_id = $${values.push(updates.provider_torrent_id)}`);
-        }
-        if (updates.status !== undefined) {
-          sets.push(`status = $${values.push(updates.status)}`);
-        }
-        if (updates.extra !== undefined) {
-          sets.push(`data = $${values.push(JSON.stringify(updates.extra))}`);
-        }
-        sets.push('updated_at = NOW()');
-        if (!sets.length) return null;
-        await client.query(
-          `UPDATE ${table} SET ${sets.join(', ')} WHERE provider = $1 AND hash = $2`,
-          values
-        );
+      return degradable(null, async () => {
+        await storage.updateCacheEntry(provider, hash, updates);
         return true;
-      } finally {
-        client.release();
-      }
+      });
     },
 
     async delete(hash) {
-      const client = await getPool().connect();
-      try {
-        await client.query(
-          `DELETE FROM ${table} WHERE provider = $1 AND hash = $2`,
-          [provider, hash]
-        );
-      } finally {
-        client.release();
-      }
+      return degradable(undefined, () => storage.deleteCacheEntry(provider, hash));
     },
 
     // ✅ New method for reverse lookup
     async getByProviderId(provider_torrent_id) {
-      const client = await getPool().connect();
-      try {
-        const res = await client.query(
-          `SELECT * FROM ${table} WHERE provider = $1 AND provider_torrent_id = $2`,
-          [provider, provider_torrent_id]
-        );
-        return res.rows[0] || null;
-      } finally {
-        client.release();
-      }
+      return degradable(null, () => storage.getCacheEntryByProviderId(provider, provider_torrent_id));
+    },
+
+    // Hashes this provider has fully downloaded before: debrid_cache rows marked
+    // 'downloaded' plus torrents rows (only written once a torrent is ready).
+    async findDownloaded(hashes) {
+      if (!hashes.length) return new Set();
+      return degradable(new Set(), () => storage.findDownloadedHashes(provider, hashes));
     },
   };
 }
@@ -1,11 +1,11 @@
 // File: src/debrid/cachedInfoCache.js
-// Version: 1.0 – In-memory TTL cache for pre-resolved torrent info
+// Version: 1.2 – prune() drops expired entries that are never read again
 
 /**
  * A simple in‑memory cache with per‑entry TTL (time‑to‑live).
  * Entries are discarded after `ttlMs` milliseconds.
  */
-class TTLCache {
+export class TTLCache {
   constructor(defaultTTLMs = 12 * 60 * 60 * 1000) { // 12 hours
     this.store = new Map();
     this.defaultTTL = defaultTTLMs;
@@ -31,6 +31,14 @@ class TTLCache {
     this.store.delete(key);
   }
 
+  // Removes every expired entry; get() only drops the key it reads.
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.store) {
+      if (now > entry.expires) this.store.delete(key);
+    }
+  }
+
   clear() {
     this.store.clear();
   }
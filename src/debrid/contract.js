@@ -0,0 +1,185 @@
+// File: src/debrid/contract.js
+// Version: 1.4 – checkCached may say where a cached verdict came from (source)
+
+/**
+ * Every provider module builds its instance with defineProvider(), which checks
+ * the contract below when the instance is created and fills in the optional
+ * members, so callers never need to probe for methods.
+ *
+ * Required members:
+ *   name, shortName, isEnabled, providerKey
+ *   addMagnet(magnet)              → { id, hash, cached }
+ *   getTorrentInfo(id)             → normalized torrent info (see normalizeTorrentInfo);
+ *                                    throws ResourceNotFoundError when the provider does not know the id
+ *   selectFiles(id, fileIds|'all') → resolves when done (no-op without capabilities.fileSelection)
+ *   unrestrictLink(link)           → { download }; throws LinkUnavailableError when the
+ *                                    provider says the link expired or its file is gone
+ *   deleteTorrent(id)
+ *   getTorrents()                  → [{ id, hash, filename, status }]
+ *   checkCached(hashes)            → { [hash]: { cached, files, torrent_id?, name?, size?, source? } }; never throws.
+ *                                    source 'history' means only past downloads vouch for the
+ *                                    hash: playing it still adds the magnet to the account
+ *
+ * Capabilities:
+ *   fileSelection    – files must be selected before the download starts
+ *   directFileLinks  – getDownloadLinkForFile(torrentId, fileId) returns a playable URL
+ *                      instead of going through torrentInfo.links + unrestrictLink
+ *   cachedFileLists  – checkCached returns torrent_id and file lists, so cached
+ *                      torrents can be played without adding them first
+ */
+
+import { debridErrors } from '../metrics.js';
+
+export const TORRENT_STATUSES = ['waiting_files_selection', 'downloading', 'downloaded', 'error'];
+
+const REQUIRED_METHODS = [
+  'addMagnet', 'getTorrentInfo', 'selectFiles', 'unrestrictLink',
+  'deleteTorrent', 'getTorrents', 'checkCached',
+];
+
+const DEFAULT_CAPABILITIES = {
+  fileSelection: false,
+  directFileLinks: false,
+  cachedFileLists: false,
+};
+
+export class DebridError extends Error {
+  constructor(message, { provider, code, status } = {}) {
+    super(message);
+    this.name = 'DebridError';
+    this.provider = provider;
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Callers match on err.name, so the name stays the same for every provider
+export class ResourceNotFoundError extends DebridError {
+  constructor(message = 'Resource not found', details) {
+    super(message, details);
+    this.name = 'ResourceNotFoundError';
+  }
+}
+
+// A link of a ready torrent no longer gives a playable URL. Cached torrent info
+// goes stale this way, so the stream route adds the torrent again (index.js).
+export class LinkUnavailableError extends DebridError {
+  constructor(message = 'Link unavailable', details) {
+    super(message, details);
+    this.name = 'LinkUnavailableError';
+  }
+}
+
+// The torrent was not ready in time but is still on the provider, so a later
+// click may find it done (index.js keeps it and releases the resolve job).
+export class TorrentTimeoutError extends DebridError {
+  constructor(message = 'Timed out waiting for torrent', details) {
+    super(message, details);
+    this.name = 'TorrentTimeoutError';
+  }
+}
+
+export class ProviderContractError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProviderContractError';
+  }
+}
+
+/**
+ * Normalizes a provider's torrent info to the shape stored in the torrents
+ * table and read by index.js.
+ * @param {object} info - Provider-specific info, already mapped to TORRENT_STATUSES.
+ * @param {string} provider - Provider name, for error messages.
+ * @returns {{id, hash, filename, bytes, status, rawStatus, progress, seeders, files, links}}
+ * @throws {ProviderContractError} If the status is outside TORRENT_STATUSES.
+ */
+export function normalizeTorrentInfo(info, provider) {
+  if (!TORRENT_STATUSES.includes(info.status)) {
+    throw new ProviderContractError(`${provider} returned unknown torrent status '${info.status}'.`);
+  }
+  const files = (info.files || []).map(f => ({
+    id: f.id,
+    path: f.path,
+    bytes: Number(f.bytes) || 0,
+    selected: f.selected ? 1 : 0,
+  }));
+  return {
+    id: info.id,
+    hash: info.hash ? String(info.hash).toLowerCase() : null,
+    filename: info.filename || '',
+    bytes: Number(info.bytes) || files.reduce((sum, f) => sum + f.bytes, 0),
+    status: info.status,
+    rawStatus: info.rawStatus ?? info.status,
+    progress: Math.max(0, Math.min(100, Number(info.progress) || 0)),
+    seeders: info.seeders ?? null,
+    files,
+    links: Array.isArray(info.links) ? info.links : [],
+  };
+}
+
+// Counts every rejected call by provider, method and HTTP status before rethrowing
+function instrument(providerName, method, fn) {
+  return async function (...args) {
+    try {
+      return await fn.apply(this, args);
+    } catch (err) {
+      const status = err.status ?? err.response?.status ?? 'none';
+      debridErrors.inc({ provider: providerName, method, status });
+      throw err;
+    }
+  };
+}
+
+/**
+ * Validates a provider implementation against the contract and returns the
+ * instance with defaults (setup, capabilities, getFileUrl) filled in.
+ * @param {object} provider - Provider implementation.
+ * @returns {object} Provider instance.
+ * @throws {ProviderContractError} If required members are missing.
+ */
+export function defineProvider(provider) {
+  const capabilities = { ...DEFAULT_CAPABILITIES, ...provider.capabilities };
+
+  const missing = ['name', 'shortName'].filter(field => !provider[field]);
+  missing.push(...REQUIRED_METHODS.filter(method => typeof provider[method] !== 'function'));
+  if (capabilities.directFileLinks && typeof provider.getDownloadLinkForFile !== 'function') {
+    missing.push('getDownloadLinkForFile');
+  }
+  if (missing.length) {
+    throw new ProviderContractError(`Debrid provider '${provider.name || '?'}' is missing: ${missing.join(', ')}.`);
+  }
+
+  const methods = [...REQUIRED_METHODS, 'getDownloadLinkForFile'].filter(m => typeof provider[m] === 'function');
+  const instrumented = Object.fromEntries(methods.map(m => [m, instrument(provider.name, m, provider[m])]));
+
+  return {
+    setup() {},
+    ...provider,
+    ...instrumented,
+    isEnabled: !!provider.isEnabled,
+    capabilities,
+    ResourceNotFoundError,
+    LinkUnavailableError,
+
+    /**
+     * Returns a playable URL for one file of a ready torrent.
+     * @param {object} torrentInfo - Normalized torrent info.
+     * @param {object} file - One of torrentInfo.files.
+     */
+    async getFileUrl(torrentInfo, file) {
+      if (this.capabilities.directFileLinks) {
+        const url = await this.getDownloadLinkForFile(torrentInfo.id, file.id);
+        if (!url) throw new LinkUnavailableError(`Failed to obtain download link from ${this.name}.`, { provider: this.name });
+        return url;
+      }
+      // links[] lines up with the selected files, in order
+      const selectedFiles = torrentInfo.files.filter(f => f.selected === 1);
+      const link = torrentInfo.links?.[selectedFiles.findIndex(f => f.id === file.id)];
+      if (!link) throw new LinkUnavailableError(`No ${this.name} link available for the selected file.`, { provider: this.name });
+      const unrestricted = await this.unrestrictLink(link);
+      if (!unrestricted?.download) throw new LinkUnavailableError(`Failed to unrestrict link on ${this.name}.`, { provider: this.name });
+      return unrestricted.download;
+    },
+  };
+}
@@ -1,14 +1,24 @@
 // File: src/debrid/index.js
-// Version: 2.2 – guard for setup
+// Version: 2.11 – A service picked without a key only gets the server key with ALLOW_SERVER_KEY_FALLBACK
 
-import { debridService } from '../../config.js';
-import realdebrid from './realdebrid.js';
-import torbox from './torbox.js';
+import { createHash } from 'crypto';
+import { DEBRID_SERVICES, REALDEBRID_API_KEY, TORBOX_API_KEY, ALLDEBRID_API_KEY, PREMIUMIZE_API_KEY, ALLOW_SERVER_KEY_FALLBACK } from '../../config.js';
+import realdebrid, { createRealDebrid } from './realdebrid.js';
+import torbox, { createTorbox } from './torbox.js';
+import alldebrid, { createAllDebrid } from './alldebrid.js';
+import premiumize, { createPremiumize } from './premiumize.js';
 import { createCache } from './cache.js';
+import { defineProvider } from './contract.js';
+import { TTLCache } from './cachedInfoCache.js';
 import { logger } from '../utils.js';
 
-const disabledProvider = {
+export const SUPPORTED_DEBRID_SERVICES = ['realdebrid', 'torbox', 'alldebrid', 'premiumize'];
+
+const disabledProvider = defineProvider({
+  name: 'disabled',
+  shortName: '-',
   isEnabled: false,
+  providerKey: null,
   async addMagnet() { throw new Error('Debrid not configured'); },
   async getTorrentInfo() { throw new Error('Debrid not configured'); },
   async selectFiles() { throw new Error('Debrid not configured'); },
@@ -16,64 +26,202 @@ const disabledProvider = {
   async addAndSelect() { throw new Error('Debrid not configured'); },
   async deleteTorrent() { throw new Error('Debrid not configured'); },
   async getTorrents() { throw new Error('Debrid not configured'); },
-};
-
-let instance = null;
+  async checkCached(hashes) {
+    return Object.fromEntries((hashes || []).map(hash => [hash, { cached: false, files: [] }]));
+  },
+});
 
-function loadProvider() {
-  if (!debridService) {
-    logger.info('No debrid service configured – P2P only.');
-    return disabledProvider;
-  }
+// ── Server-wide providers (env keys) ───────────────────────────
+const serverInstances = new Map();
 
-  switch (debridService.toLowerCase()) {
+function loadServerProvider(service) {
+  switch (service) {
     case 'realdebrid':
       if (!realdebrid.isEnabled) {
-        logger.warn('Real-Debrid API key missing, P2P only.');
+        logger.warn('Real-Debrid API key missing, provider disabled.');
         return disabledProvider;
       }
-      logger.info('Using Real-Debrid provider');
+      realdebrid.setup(createCache('realdebrid'));
+      logger.info('Using Real-Debrid provider with cache history');
       return realdebrid;
 
     case 'torbox':
       if (!torbox.isEnabled) {
-        logger.warn('TorBox API key missing, P2P only.');
+        logger.warn('TorBox API key missing, provider disabled.');
         return disabledProvider;
       }
-      // Inject cache if setup is available
-      if (typeof torbox.setup === 'function') {
-        const cache = createCache('torbox');
-        torbox.setup(cache);
-        logger.info('Using TorBox provider with cache');
-      } else {
-        logger.warn('TorBox provider missing setup, running without cache.');
-      }
+      torbox.setup(createCache('torbox'));
+      logger.info('Using TorBox provider with cache');
       return torbox;
 
+    case 'alldebrid':
+      if (!alldebrid.isEnabled) {
+        logger.warn('AllDebrid API key missing, provider disabled.');
+        return disabledProvider;
+      }
+      logger.info('Using AllDebrid provider');
+      return alldebrid;
+
+    case 'premiumize':
+      if (!premiumize.isEnabled) {
+        logger.warn('Premiumize API key missing, provider disabled.');
+        return disabledProvider;
+      }
+      logger.info('Using Premiumize provider');
+      return premiumize;
+
     default:
-      logger.warn(`Unknown debrid service: ${debridService}, P2P only.`);
+      logger.warn(`Unknown debrid service: ${service}, provider disabled.`);
       return disabledProvider;
   }
 }
 
+function getServerProvider(service) {
+  if (!service) return disabledProvider;
+  const key = service.toLowerCase();
+  if (!serverInstances.has(key)) serverInstances.set(key, loadServerProvider(key));
+  return serverInstances.get(key);
+}
+
+if (!DEBRID_SERVICES.length) {
+  logger.info('No debrid service configured – P2P only.');
+}
+
+// The default export stays the primary (first configured) provider for single-provider callers
 const handler = {
   get(_, prop) {
-    if (!instance) {
-      instance = loadProvider();
-    }
-    if (prop === 'checkCached') {
-      if (typeof instance.checkCached === 'function') {
-        return instance.checkCached.bind(instance);
-      }
-      return async (hashes) => {
-        const result = {};
-        for (const hash of hashes) result[hash] = false;
-        return result;
-      };
-    }
-    return instance[prop];
+    const instance = getServerProvider(DEBRID_SERVICES[0]);
+    const value = instance[prop];
+    return typeof value === 'function' ? value.bind(instance) : value;
   }
 };
 
 const debridProxy = new Proxy({}, handler);
 export default debridProxy;
+
+// ── Per-user providers ─────────────────────────────────────────
+// Users who configure their own API key get a dedicated instance. Its
+// providerKey carries a fingerprint of the key so DB rows holding provider
+// torrent IDs are never shared across accounts. Instances are kept by that
+// providerKey, never the raw key, and dropped after USER_PROVIDER_TTL_MS unused.
+const serverKeys = {
+  realdebrid: REALDEBRID_API_KEY,
+  torbox: TORBOX_API_KEY,
+  alldebrid: ALLDEBRID_API_KEY,
+  premiumize: PREMIUMIZE_API_KEY,
+};
+const USER_PROVIDER_TTL_MS = 6 * 60 * 60 * 1000;
+const userInstances = new TTLCache(USER_PROVIDER_TTL_MS);
+
+function fingerprint(apiKey) {
+  return createHash('sha256').update(apiKey).digest('hex').slice(0, 16);
+}
+
+function createUserProvider(service, apiKey, providerKey) {
+  switch (service) {
+    case 'realdebrid': {
+      const provider = createRealDebrid(apiKey, { providerKey });
+      provider.setup(createCache(providerKey));
+      return provider;
+    }
+    case 'torbox': {
+      const provider = createTorbox(apiKey, { providerKey });
+      provider.setup(createCache(providerKey));
+      return provider;
+    }
+    case 'alldebrid':
+      return createAllDebrid(apiKey, { providerKey });
+    case 'premiumize':
+      return createPremiumize(apiKey, { providerKey });
+    default:
+      return null;
+  }
+}
+
+// A service the user picked without a key would run on the operator's account,
+// so it stays disabled unless the operator allows that
+function getProviderFor(service, apiKey, userPicked) {
+  if (!apiKey) {
+    if (userPicked && !ALLOW_SERVER_KEY_FALLBACK) {
+      logger.debug(`No user API key for ${service} and ALLOW_SERVER_KEY_FALLBACK is off, provider disabled.`);
+      return disabledProvider;
+    }
+    return getServerProvider(service);
+  }
+  if (serverKeys[service] === apiKey) return getServerProvider(service);
+
+  const providerKey = `${service}:${fingerprint(apiKey)}`;
+  let provider = userInstances.get(providerKey);
+  if (!provider) {
+    provider = createUserProvider(service, apiKey, providerKey);
+    if (!provider) {
+      logger.warn(`Unknown user debrid service: ${service}, provider disabled.`);
+      return disabledProvider;
+    }
+    userInstances.prune();
+    logger.info(`Created per-user ${service} provider (${providerKey}).`);
+  }
+  // Every use restarts the TTL
+  userInstances.set(providerKey, provider);
+  return provider;
+}
+
+/**
+ * Returns every enabled debrid provider for a request, in preference order.
+ * An empty list means P2P only. Services the user picked need the user's own key
+ * (see ALLOW_SERVER_KEY_FALLBACK); the server's DEBRID_SERVICE list uses the server keys.
+ * @param {object} settings - Output of resolveSettings() from src/userConfig.js.
+ */
+export function getDebridProviders(settings = {}) {
+  const userPicked = !!settings.debridServices;
+  const services = settings.debridServices ?? DEBRID_SERVICES;
+  const apiKeys = settings.debridApiKeys || {};
+  return services
+    .map(service => getProviderFor(service, apiKeys[service], userPicked))
+    .filter(provider => provider.isEnabled);
+}
+
+/**
+ * Returns the enabled provider for one service (e.g. from the /stream URL), the
+ * primary provider when no service is given, or null if it is not enabled.
+ * @param {object} settings - Output of resolveSettings() from src/userConfig.js.
+ * @param {string} [service] - One of SUPPORTED_DEBRID_SERVICES.
+ */
+export function getDebridProvider(settings, service) {
+  const providers = getDebridProviders(settings);
+  if (!service) return providers[0] || null;
+  return providers.find(provider => provider.name === service) || null;
+}
+
+/**
+ * Finds the provider instance behind a stored providerKey (e.g. torrents.provider).
+ * Per-user instances are only known while this process has recently served that user.
+ * @param {string} providerKey
+ * @returns {object|null} Enabled provider, or null if its key is not available here.
+ */
+export function getProviderByKey(providerKey) {
+  if (SUPPORTED_DEBRID_SERVICES.includes(providerKey)) {
+    const server = getServerProvider(providerKey);
+    return server.isEnabled ? server : null;
+  }
+  return userInstances.get(providerKey) || null;
+}
+
+/**
+ * Remembers that a provider fully downloaded a hash, so providers without a
+ * reliable cache API (Real-Debrid) can still report it as instant later.
+ * @param {object} debrid - Provider instance.
+ * @param {string} hash - Infohash.
+ * @param {string|number} torrentId - Provider torrent ID.
+ */
+export async function recordDownloaded(debrid, hash, torrentId) {
+  try {
+    await createCache(debrid.providerKey).set(hash.toLowerCase(), {
+      provider_torrent_id: String(torrentId),
+      status: 'downloaded',
+      extra: {},
+    });
+  } catch (err) {
+    logger.warn(`Could not record ${hash} as downloaded for ${debrid.providerKey}: ${err.message}`);
+  }
+}
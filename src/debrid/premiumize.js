@@ -0,0 +1,199 @@
+// File: src/debrid/premiumize.js
+// Version: 1.3 – checkCached lists the files of the first few cached hashes (cachedFileLists)
+
+import axios from 'axios';
+import { PREMIUMIZE_API_KEY } from '../../config.js';
+import { logger } from '../utils.js';
+import { defineProvider, normalizeTorrentInfo, DebridError, ResourceNotFoundError } from './contract.js';
+import { TTLCache } from './cachedInfoCache.js';
+
+const BASE_URL = 'https://www.premiumize.me/api';
+
+// A click asks for the same file list twice in a row (getTorrentInfo, then
+// getDownloadLinkForFile), so directdl answers are reused for a few minutes.
+const FILE_LIST_TTL_MS = 5 * 60 * 1000;
+// checkCached lists files (one directdl each) only for the first cached hashes of
+// a stream list, the ones likely to be clicked; the rest are listed on click.
+const CACHED_FILE_LISTS = 5;
+
+function extractInfoHash(src) {
+  const m = String(src || '').match(/btih:([a-fA-F0-9]{40})/);
+  return m ? m[1].toLowerCase() : null;
+}
+
+function mapStatus(pmStatus) {
+  const s = (pmStatus || '').toLowerCase();
+  if (['finished', 'seeding'].includes(s)) return 'downloaded';
+  if (['waiting', 'queued', 'running'].includes(s)) return 'downloading';
+  return 'error';
+}
+
+// Premiumize serves cached content by hash rather than by a transfer ID, so the
+// infohash is used as the torrent "id" throughout this provider.
+export function createPremiumize(apiKey, { providerKey = 'premiumize', baseUrl = BASE_URL } = {}) {
+  let axiosInstance;
+  const fileLists = new TTLCache(FILE_LIST_TTL_MS);
+
+  function getAxios() {
+    if (!axiosInstance) {
+      axiosInstance = axios.create({
+        baseURL: baseUrl,
+        params: { apikey: apiKey },
+        timeout: 15000,
+      });
+    }
+    return axiosInstance;
+  }
+
+  async function request(method, path, form) {
+    const { data } = method === 'get'
+      ? await getAxios().get(path)
+      : await getAxios().post(path, new URLSearchParams(form));
+    if (data?.status !== 'success') {
+      throw new DebridError(`Premiumize ${path} failed: ${data?.message || 'unknown error'}`, { provider: 'premiumize' });
+    }
+    return data;
+  }
+
+  async function directDownload(hash) {
+    const data = await request('post', '/transfer/directdl', { src: `magnet:?xt=urn:btih:${hash}` });
+    return (data.content || []).map((f, index) => ({ id: index, name: f.path, size: f.size, link: f.link }));
+  }
+
+  // Concurrent callers share one request; failures are not kept
+  function listFiles(hash) {
+    const key = hash.toLowerCase();
+    let pending = fileLists.get(key);
+    if (!pending) {
+      fileLists.prune();
+      pending = directDownload(key);
+      fileLists.set(key, pending);
+      pending.catch(() => fileLists.delete(key));
+    }
+    return pending;
+  }
+
+  async function findTransfer(hash) {
+    const data = await request('get', '/transfer/list');
+    return (data.transfers || []).find(t => extractInfoHash(t.src) === hash.toLowerCase()) || null;
+  }
+
+  return defineProvider({
+    name: 'premiumize',
+    shortName: 'PM',
+    isEnabled: !!apiKey,
+    providerKey,
+    capabilities: { directFileLinks: true, cachedFileLists: true },
+
+    async addMagnet(magnet) {
+      const hash = extractInfoHash(magnet);
+      if (!hash) throw new Error('Invalid magnet link');
+
+      const cacheStatus = await this.checkCached([hash]);
+      if (cacheStatus[hash]?.cached) {
+        logger.info(`Premiumize: ${hash} is cached, no transfer needed.`);
+        return { id: hash, hash, cached: true };
+      }
+
+      const data = await request('post', '/transfer/create', { src: magnet });
+      logger.info(`Premiumize transfer created: ${data.id} (hash=${hash})`);
+      return { id: hash, hash, name: data.name, transferId: data.id, cached: false };
+    },
+
+    async getTorrentInfo(hash) {
+      const transfer = await findTransfer(hash);
+      let status = transfer ? mapStatus(transfer.status) : null;
+
+      if (!transfer) {
+        const cacheStatus = await this.checkCached([hash]);
+        if (!cacheStatus[hash]?.cached) {
+          throw new ResourceNotFoundError(`No Premiumize transfer or cache entry for ${hash}.`, { provider: 'premiumize' });
+        }
+        status = 'downloaded';
+      }
+
+      const files = status === 'downloaded' ? await listFiles(hash) : [];
+      return normalizeTorrentInfo({
+        id: hash,
+        hash,
+        filename: transfer?.name || files[0]?.name?.split('/')[0] || hash,
+        status,
+        rawStatus: transfer?.status ?? 'cached',
+        progress: transfer ? Math.round((transfer.progress || 0) * 100) : 100,
+        files: files.map(f => ({ id: f.id, path: f.name, bytes: f.size, selected: 1 })),
+        links: files.map(f => f.link),
+      }, 'premiumize');
+    },
+
+    // Premiumize fetches the whole torrent; there is nothing to select
+    async selectFiles(hash) {
+      logger.debug(`Premiumize selectFiles(${hash}) – no-op`);
+    },
+
+    async unrestrictLink(link) {
+      return { download: link };
+    },
+
+    async deleteTorrent(hash) {
+      const transfer = await findTransfer(hash);
+      if (!transfer) return;
+      await request('post', '/transfer/delete', { id: transfer.id });
+      logger.info(`Premiumize transfer deleted: ${transfer.id} (hash=${hash})`);
+    },
+
+    async getTorrents() {
+      const data = await request('get', '/transfer/list');
+      return (data.transfers || [])
+        .map(t => ({ id: extractInfoHash(t.src), hash: extractInfoHash(t.src), filename: t.name, status: mapStatus(t.status) }))
+        .filter(t => t.hash);
+    },
+
+    // One cache/check for the whole list, plus the file lists of the first
+    // CACHED_FILE_LISTS cached hashes so their clicks skip the directdl wait.
+    async checkCached(hashes) {
+      if (!Array.isArray(hashes) || hashes.length === 0) return {};
+      const result = {};
+      hashes.forEach(h => result[h] = { cached: false, files: [] });
+      try {
+        const form = new URLSearchParams();
+        hashes.forEach(h => form.append('items[]', h));
+        const { data } = await getAxios().post('/cache/check', form);
+        if (data?.status !== 'success') throw new Error(data?.message || 'unknown error');
+
+        const cachedHashes = hashes.filter((_, i) => data.response?.[i] === true);
+        for (const hash of cachedHashes) {
+          const i = hashes.indexOf(hash);
+          result[hash] = { cached: true, name: data.filename?.[i], size: Number(data.filesize?.[i]) || undefined, files: [] };
+        }
+        await Promise.all(cachedHashes.slice(0, CACHED_FILE_LISTS).map(async hash => {
+          try {
+            const files = await listFiles(hash);
+            result[hash] = { ...result[hash], torrent_id: hash, files: files.map(({ id, name, size }) => ({ id, name, size })) };
+          } catch (err) {
+            logger.warn(`[PM] Could not list files of ${hash}: ${err.message}`);
+          }
+        }));
+
+        logger.info(`[PM] checkCached: ${cachedHashes.length}/${hashes.length} cached.`);
+      } catch (err) {
+        logger.warn(`[PM] checkCached failed: ${err.message}`);
+      }
+      return result;
+    },
+
+    async getDownloadLinkForFile(hash, fileId) {
+      try {
+        const files = await listFiles(hash);
+        const file = files.find(f => String(f.id) === String(fileId));
+        return file?.link || null;
+      } catch (err) {
+        logger.error(`[PM] getDownloadLinkForFile failed: ${err.message}`);
+        return null;
+      }
+    },
+  });
+}
+
+const premiumize = createPremiumize(PREMIUMIZE_API_KEY);
+
+export default premiumize;
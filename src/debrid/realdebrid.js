@@ -1,87 +1,197 @@
 // File: src/debrid/realdebrid.js
-// Version: 2.3 – Returns null on transient 404; uses real file IDs
+// Version: 2.9 – Only checkCached limits the account listing; getTorrents() lists everything
 
 import axios from 'axios';
 import { REALDEBRID_API_KEY } from '../../config.js';
 import { logger } from '../utils.js';
+import { defineProvider, normalizeTorrentInfo, ResourceNotFoundError, LinkUnavailableError } from './contract.js';
 
 const BASE_URL = 'https://api.real-debrid.com/rest/1.0';
-const apiKey = REALDEBRID_API_KEY;
 
-class ResourceNotFoundError extends Error {
-  constructor(message = 'Resource not found') {
-    super(message);
-    this.name = 'ResourceNotFoundError';
-  }
+const STATUS_MAP = {
+  magnet_conversion: 'downloading',
+  queued: 'downloading',
+  downloading: 'downloading',
+  compressing: 'downloading',
+  uploading: 'downloading',
+  waiting_files_selection: 'waiting_files_selection',
+  downloaded: 'downloaded',
+  magnet_error: 'error',
+  error: 'error',
+  virus: 'error',
+  dead: 'error',
+};
+
+function mapStatus(rdStatus) {
+  return STATUS_MAP[rdStatus] || 'error';
 }
 
-let axiosInstance;
+function extractInfoHash(magnet) {
+  const m = String(magnet || '').match(/btih:([a-fA-F0-9]{40})/);
+  return m ? m[1].toLowerCase() : null;
+}
+
+const INSTANT_CHUNK_SIZE = 40;
+
+// /torrents lists the newest torrents only, one page of this size
+const ACCOUNT_LIST_LIMIT = 100;
+
+// unrestrict/link error codes for a link that will never work again
+// (7 unknown_ressource, 24 unavailable_file): the torrent behind it was deleted
+const DEAD_LINK_CODES = new Set([7, 24]);
 
-function getAxios() {
-  if (!axiosInstance) {
-    axiosInstance = axios.create({
-      baseURL: BASE_URL,
-      headers: { Authorization: `Bearer ${apiKey}` },
-      timeout: 15000,
-    });
+// RD switched instantAvailability off for everyone in late 2024 (error_code 37).
+// Once we see that, stop asking and rely on the other signals.
+let instantAvailabilityDisabled = false;
+
+export function createRealDebrid(apiKey, { providerKey = 'realdebrid', baseUrl = BASE_URL } = {}) {
+  let axiosInstance;
+  let cache = null;
+
+  function setup(cacheInstance) {
+    cache = cacheInstance;
   }
-  return axiosInstance;
-}
 
-const realdebrid = {
-  isEnabled: !!apiKey,
-
-  async addMagnet(magnet) {
-    const body = `magnet=${encodeURIComponent(magnet)}`;
-    const { data } = await getAxios().post('/torrents/addMagnet', body);
-    logger.info(`Real-Debrid magnet added: ${data.id}`);
-    return data;
-  },
-
-  // Returns null on 404 so callers can retry
-  async getTorrentInfo(id) {
-    try {
-      const { data } = await getAxios().get(`/torrents/info/${id}`);
-      return data;
-    } catch (error) {
-      if (error.response?.status === 404) {
-        logger.warn(`[RD] getTorrentInfo 404 for ${id} – still processing?`);
-        return null;
-      }
-      throw error;
+  function getAxios() {
+    if (!axiosInstance) {
+      axiosInstance = axios.create({
+        baseURL: baseUrl,
+        headers: { Authorization: `Bearer ${apiKey}` },
+        timeout: 15000,
+      });
     }
-  },
-
-  async selectFiles(id, fileIds) {
-    const param = fileIds === 'all' ? 'all' : fileIds.join(',');
-    try {
-      await getAxios().post(`/torrents/selectFiles/${id}`, `files=${param}`);
-      logger.info(`Real-Debrid files selected for ${id}`);
-    } catch (error) {
-      if (error.response?.status === 202) {
-        logger.info(`Files already selected for ${id}`);
-        return;
+    return axiosInstance;
+  }
+
+  async function fetchInstantAvailability(hashes) {
+    const cached = new Set();
+    if (instantAvailabilityDisabled) return cached;
+    for (let i = 0; i < hashes.length; i += INSTANT_CHUNK_SIZE) {
+      const chunk = hashes.slice(i, i + INSTANT_CHUNK_SIZE);
+      try {
+        const { data } = await getAxios().get(`/torrents/instantAvailability/${chunk.join('/')}`);
+        for (const [hash, value] of Object.entries(data || {})) {
+          if (Array.isArray(value?.rd) && value.rd.length > 0) cached.add(hash.toLowerCase());
+        }
+      } catch (error) {
+        if (error.response?.data?.error_code === 37 || error.response?.data?.error === 'disabled_endpoint') {
+          logger.info('[RD] instantAvailability is disabled by Real-Debrid; using account and history signals only.');
+          instantAvailabilityDisabled = true;
+          break;
+        }
+        logger.warn(`[RD] instantAvailability failed: ${error.message}`);
       }
-      throw error;
     }
-  },
+    return cached;
+  }
 
-  async unrestrictLink(link) {
-    const { data } = await getAxios().post('/unrestrict/link', `link=${encodeURIComponent(link)}`);
-    return data;
-  },
+  return defineProvider({
+    name: 'realdebrid',
+    shortName: 'RD',
+    setup,
+    isEnabled: !!apiKey,
+    providerKey,
+    capabilities: { fileSelection: true },
 
-  async deleteTorrent(id) {
-    await getAxios().delete(`/torrents/delete/${id}`);
-    logger.info(`Real-Debrid torrent deleted: ${id}`);
-  },
+    async addMagnet(magnet) {
+      const body = `magnet=${encodeURIComponent(magnet)}`;
+      const { data } = await getAxios().post('/torrents/addMagnet', body);
+      logger.info(`Real-Debrid magnet added: ${data.id}`);
+      return { id: data.id, hash: extractInfoHash(magnet), cached: false };
+    },
 
-  async getTorrents() {
-    const { data } = await getAxios().get('/torrents');
-    return data;
-  },
+    async getTorrentInfo(id) {
+      try {
+        const { data } = await getAxios().get(`/torrents/info/${id}`);
+        return normalizeTorrentInfo({ ...data, status: mapStatus(data.status), rawStatus: data.status }, 'realdebrid');
+      } catch (error) {
+        if (error.response?.status === 404) {
+          logger.warn(`[RD] getTorrentInfo 404 for ${id} – still processing?`);
+          throw new ResourceNotFoundError(`Real-Debrid torrent ${id} not found.`, { provider: 'realdebrid', status: 404 });
+        }
+        throw error;
+      }
+    },
 
-  ResourceNotFoundError,
-};
+    async selectFiles(id, fileIds) {
+      const param = fileIds === 'all' ? 'all' : fileIds.join(',');
+      try {
+        await getAxios().post(`/torrents/selectFiles/${id}`, `files=${param}`);
+        logger.info(`Real-Debrid files selected for ${id}`);
+      } catch (error) {
+        if (error.response?.status === 202) {
+          logger.info(`Files already selected for ${id}`);
+          return;
+        }
+        throw error;
+      }
+    },
+
+    async unrestrictLink(link) {
+      try {
+        const { data } = await getAxios().post('/unrestrict/link', `link=${encodeURIComponent(link)}`);
+        return data;
+      } catch (error) {
+        const code = error.response?.data?.error_code;
+        if (DEAD_LINK_CODES.has(code)) {
+          throw new LinkUnavailableError(`Real-Debrid link unavailable (${error.response.data.error}).`, { provider: 'realdebrid', code, status: error.response.status });
+        }
+        throw error;
+      }
+    },
+
+    async deleteTorrent(id) {
+      await getAxios().delete(`/torrents/delete/${id}`);
+      logger.info(`Real-Debrid torrent deleted: ${id}`);
+    },
+
+    // checkCached passes a limit; everything else (finding a torrent before adding
+    // it again, GC, health) keeps the unrestricted listing
+    async getTorrents({ limit } = {}) {
+      const { data } = await getAxios().get('/torrents', limit ? { params: { limit } } : undefined);
+      return (data || []).map(t => ({ id: t.id, hash: t.hash, filename: t.filename, status: mapStatus(t.status) }));
+    },
+
+    // A hash is instant if RD reports it cached, it already sits downloaded in the
+    // account, or it reached 'downloaded' for this provider before (DB history).
+    // History is only trusted for torrents too old to appear in the account
+    // listing: a hash the listing should show but doesn't was deleted by the user.
+    async checkCached(hashes) {
+      if (!Array.isArray(hashes) || hashes.length === 0) return {};
+      const lowerHashes = hashes.map(h => h.toLowerCase());
+
+      const [instant, listing] = await Promise.all([
+        fetchInstantAvailability(lowerHashes),
+        this.getTorrents({ limit: ACCOUNT_LIST_LIMIT }).catch(err => {
+          logger.warn(`[RD] Could not list account torrents for checkCached: ${err.message}`);
+          return null;
+        }),
+      ]);
+      const account = new Set((listing || []).filter(t => t.status === 'downloaded').map(t => t.hash.toLowerCase()));
+      const listed = new Set((listing || []).map(t => t.hash.toLowerCase()));
+
+      let history = new Set();
+      const unlisted = lowerHashes.filter(h => !instant.has(h) && !listed.has(h));
+      if (cache && listing && listing.length >= ACCOUNT_LIST_LIMIT && unlisted.length) {
+        history = await cache.findDownloaded(unlisted).catch(err => {
+          logger.warn(`[RD] Cache history lookup failed: ${err.message}`);
+          return new Set();
+        });
+      }
+
+      const result = {};
+      hashes.forEach((hash, i) => {
+        const h = lowerHashes[i];
+        const source = instant.has(h) ? 'instant' : account.has(h) ? 'account' : history.has(h) ? 'history' : null;
+        result[hash] = { cached: !!source, source, files: [] };
+      });
+      const cachedCount = Object.values(result).filter(v => v.cached).length;
+      logger.info(`[RD] checkCached: ${cachedCount}/${hashes.length} cached.`);
+      return result;
+    },
+  });
+}
+
+const realdebrid = createRealDebrid(REALDEBRID_API_KEY);
 
 export default realdebrid;
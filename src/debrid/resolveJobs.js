@@ -0,0 +1,152 @@
+// File: src/debrid/resolveJobs.js
+// Version: 1.3 – Queries go through the shared storage backend (Postgres or SQLite)
+
+import { hostname } from 'os';
+import { storage } from '../../db.js';
+import { RESOLVED_URL_TTL_MINUTES } from '../../config.js';
+import { logger, sleep } from '../utils.js';
+
+/**
+ * One row per `${providerKey}:${infoHash}`. Whichever replica claims the row
+ * adds the magnet; every other replica waits on the row instead of adding it
+ * again. Rows expire, so a replica that dies mid-job does not block the hash:
+ *   PROCESSING – until PROCESSING_TTL_MS after the claim
+ *   COMPLETED  – COMPLETED_TTL_MS (waiters pick up the torrent info)
+ *   FAILED     – FAILED_TTL_MS (don't hammer the provider with a bad torrent)
+ *
+ * Resolved download URLs live in resolved_urls, one per stream (`${type}:${id}`),
+ * because one pack serves many episodes.
+ */
+
+const PROCESSING_TTL_MS = 10 * 60 * 1000;
+const COMPLETED_TTL_MS = 30 * 1000;
+const FAILED_TTL_MS = 5 * 60 * 1000;
+const WAIT_INTERVAL_MS = 1000;
+
+const OWNER = `${hostname()}:${process.pid}`;
+
+/**
+ * Returns the live (unexpired) job for a key.
+ * @param {string} lockKey - `${providerKey}:${infoHash}`.
+ * @returns {Promise<object|null>} Row with state, owner, torrent_info_json, progress, error.
+ */
+export async function getJob(lockKey) {
+  return storage.getJob(lockKey);
+}
+
+/**
+ * Claims a key for this process. Succeeds if there is no job or the previous
+ * one expired; the row lock taken by the upsert makes this atomic across replicas.
+ * @param {string} lockKey
+ * @returns {Promise<boolean>} True if this process now owns the job.
+ */
+export async function claimJob(lockKey) {
+  return storage.claimJob(lockKey, OWNER, PROCESSING_TTL_MS);
+}
+
+/**
+ * Marks a job done and stores the torrent info for other replicas.
+ * @param {string} lockKey
+ * @param {object} torrentInfo - Normalized torrent info.
+ */
+export async function completeJob(lockKey, torrentInfo) {
+  try {
+    await storage.completeJob(lockKey, OWNER, torrentInfo, COMPLETED_TTL_MS);
+  } catch (err) {
+    logger.warn(`[JOBS] Could not mark ${lockKey} completed: ${err.message}`);
+  }
+}
+
+/**
+ * Marks a job failed so other replicas stop waiting and reject for a while.
+ * @param {string} lockKey
+ * @param {Error} error
+ */
+export async function failJob(lockKey, error) {
+  try {
+    await storage.failJob(lockKey, OWNER, error?.message || 'Processing request failed.', FAILED_TTL_MS);
+  } catch (err) {
+    logger.warn(`[JOBS] Could not mark ${lockKey} failed: ${err.message}`);
+  }
+}
+
+/**
+ * Records the provider's download progress for a job this process owns.
+ * @param {string} lockKey
+ * @param {number} progress - 0-100.
+ */
+export async function setJobProgress(lockKey, progress) {
+  try {
+    await storage.setJobProgress(lockKey, OWNER, Math.round(progress) || 0);
+  } catch (err) {
+    logger.warn(`[JOBS] Could not update progress for ${lockKey}: ${err.message}`);
+  }
+}
+
+/**
+ * Returns the progress of the jobs still processing among the given keys.
+ * @param {string[]} lockKeys
+ * @returns {Promise<Map<string, number>>} lockKey → progress.
+ */
+export async function getProcessingProgress(lockKeys) {
+  if (!lockKeys.length) return new Map();
+  const rows = await storage.getProcessingProgress(lockKeys);
+  return new Map(rows.map(r => [r.lock_key, r.progress || 0]));
+}
+
+/**
+ * Drops this process's claim without recording a failure, e.g. when polling
+ * timed out but the torrent is still downloading on the provider.
+ * @param {string} lockKey
+ */
+export async function releaseJob(lockKey) {
+  try {
+    await storage.releaseJob(lockKey, OWNER);
+  } catch (err) {
+    logger.warn(`[JOBS] Could not release ${lockKey}: ${err.message}`);
+  }
+}
+
+/**
+ * Returns a still-valid download URL resolved earlier for this stream.
+ * @param {string} lockKey - `${providerKey}:${infoHash}`.
+ * @param {string} streamId - `${type}:${id}`.
+ * @returns {Promise<string|null>}
+ */
+export async function getResolvedUrl(lockKey, streamId) {
+  return storage.getResolvedUrl(lockKey, streamId);
+}
+
+/**
+ * Stores a resolved download URL for RESOLVED_URL_TTL_MINUTES.
+ * @param {string} lockKey
+ * @param {string} streamId
+ * @param {string} downloadUrl
+ */
+export async function saveResolvedUrl(lockKey, streamId, downloadUrl) {
+  try {
+    await storage.saveResolvedUrl(lockKey, streamId, downloadUrl, RESOLVED_URL_TTL_MINUTES * 60 * 1000);
+  } catch (err) {
+    logger.warn(`[JOBS] Could not cache URL for ${lockKey} (${streamId}): ${err.message}`);
+  }
+}
+
+/**
+ * Waits for a job owned by any replica to leave PROCESSING.
+ * @param {string} lockKey
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - Stop waiting after this long (default: until the job ends).
+ * @returns {Promise<object|null>} The COMPLETED job, or null if still processing at timeoutMs.
+ * @throws {Error} With the stored message if the job FAILED, or if it expired while processing.
+ */
+export async function waitForJob(lockKey, { timeoutMs = Infinity } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const job = await getJob(lockKey);
+    if (!job) throw new Error('Processing timed out or was released; please try again shortly.');
+    if (job.state === 'COMPLETED') return job;
+    if (job.state === 'FAILED') throw new Error(job.error);
+    if (Date.now() >= deadline) return null;
+    await sleep(WAIT_INTERVAL_MS);
+  }
+}
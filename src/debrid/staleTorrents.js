@@ -0,0 +1,148 @@
+// File: src/debrid/staleTorrents.js
+// Version: 1.2 – Only missing or failed torrents count as gone, not ones still downloading
+
+import { CACHE_GC_ENABLED, CACHE_GC_INTERVAL_MINUTES, TORRENT_CACHE_MAX_AGE_DAYS } from '../../config.js';
+import { storage, isDbAvailable, reportDbError } from '../../db.js';
+import { getDebridProviders } from './index.js';
+import { torrentInfoCache } from './cachedInfoCache.js';
+import { resolveSettings } from '../userConfig.js';
+import { cacheEvictions } from '../metrics.js';
+import { logger, runWithRequestContext } from '../utils.js';
+
+/**
+ * torrents and debrid_cache rows keep a provider torrent id, but providers
+ * delete torrents after a while. Two things keep the cache honest:
+ *   - a periodic GC on every replica deletes rows unused for
+ *     TORRENT_CACHE_MAX_AGE_DAYS, then checks the least recently used torrents
+ *     of each server provider and evicts the ones the provider no longer has;
+ *   - the stream route evicts a cached torrent whose URL fails to resolve
+ *     because its link expired or the provider deleted it, and adds the magnet
+ *     again once (index.js).
+ * Per-user providers only expire: their keys are never stored.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FIRST_RUN_DELAY_MS = 60 * 1000;
+// Rows checked per provider and run, and how many of them may cost a getTorrentInfo call
+const CANDIDATES_PER_RUN = 200;
+const LOOKUPS_PER_RUN = 25;
+
+/**
+ * Whether the provider deleted the torrent behind a cached id or marked it failed
+ * (dead, virus, magnet error...). Queued and downloading torrents are kept, and
+ * errors other than "not found" count as alive, so a provider outage never evicts.
+ * @param {object} debrid - Provider instance.
+ * @param {string|number} providerTorrentId
+ * @returns {Promise<boolean>}
+ */
+export async function isTorrentGone(debrid, providerTorrentId) {
+  if (!providerTorrentId) return false;
+  try {
+    const info = await debrid.getTorrentInfo(providerTorrentId);
+    return info.status === 'error';
+  } catch (err) {
+    return err.name === 'ResourceNotFoundError';
+  }
+}
+
+/**
+ * Whether a failure to resolve a cached torrent's URL means the cached info is
+ * stale: the provider rejected the link or the torrent, or no longer has it ready.
+ * @param {object} debrid - Provider instance.
+ * @param {object} torrentInfo - The cached torrent info.
+ * @param {Error} err - What resolving the URL threw.
+ * @returns {Promise<'expired_link'|'dead'|null>} Eviction reason, or null to rethrow.
+ */
+export async function staleCacheReason(debrid, torrentInfo, err) {
+  if (err.name === 'LinkUnavailableError') return 'expired_link';
+  if (err.name === 'ResourceNotFoundError') return 'dead';
+  return (await isTorrentGone(debrid, torrentInfo.id)) ? 'dead' : null;
+}
+
+/**
+ * Drops every cached trace of a hash on one provider: torrents rows, the debrid
+ * cache entry, resolved URLs, a completed job and the in-memory torrent info.
+ * @param {string} providerKey
+ * @param {string} infoHash
+ * @param {string} [reason='dead'] - cache_evictions_total label.
+ */
+export async function evictDeadTorrent(providerKey, infoHash, reason = 'dead') {
+  torrentInfoCache.delete(`${providerKey}:${infoHash}`);
+  const { torrents, debridCache } = await storage.evictHash(providerKey, infoHash);
+  cacheEvictions.inc({ table: 'torrents', reason }, torrents);
+  cacheEvictions.inc({ table: 'debrid_cache', reason }, debridCache);
+}
+
+// One listing answers most candidates. Real-Debrid only lists its newest torrents,
+// so an id missing from the listing is confirmed with a lookup before evicting.
+async function evictDeadForProvider(debrid) {
+  const candidates = await storage.findGcCandidates(debrid.providerKey, CANDIDATES_PER_RUN);
+  if (!candidates.length) return 0;
+  const listed = new Set((await debrid.getTorrents())
+    .filter(t => t.status !== 'error')
+    .map(t => String(t.id)));
+
+  let lookups = 0;
+  let evicted = 0;
+  for (const { hash, provider_torrent_id: id } of candidates) {
+    if (listed.has(String(id))) continue;
+    if (lookups++ >= LOOKUPS_PER_RUN) break;
+    if (!(await isTorrentGone(debrid, id))) continue;
+    logger.info(`[GC] ${debrid.name} no longer has ${hash} (torrent ${id}). Evicting.`);
+    await evictDeadTorrent(debrid.providerKey, hash);
+    evicted++;
+  }
+  return evicted;
+}
+
+/**
+ * One GC pass over the database and the server's debrid providers.
+ * @returns {Promise<{expired: object, dead: Object<string, number>}>} Row counts by table,
+ *   and dead torrents evicted per provider.
+ */
+export async function runCacheGc() {
+  const expired = await storage.deleteExpired(TORRENT_CACHE_MAX_AGE_DAYS * DAY_MS);
+  cacheEvictions.inc({ table: 'torrents', reason: 'expired' }, expired.torrents);
+  cacheEvictions.inc({ table: 'debrid_cache', reason: 'expired' }, expired.debridCache);
+
+  const dead = {};
+  for (const debrid of getDebridProviders(resolveSettings(null))) {
+    try {
+      dead[debrid.name] = await evictDeadForProvider(debrid);
+    } catch (err) {
+      if (reportDbError(err)) throw err;
+      logger.warn(`[GC] Could not check ${debrid.name} torrents: ${err.message}`);
+    }
+  }
+
+  const deadCount = Object.values(dead).reduce((sum, n) => sum + n, 0);
+  logger.info(`[GC] Expired ${expired.torrents} torrents and ${expired.debridCache} cache rows, evicted ${deadCount} dead torrents.`);
+  return { expired, dead };
+}
+
+let running = false;
+
+/**
+ * Schedules runCacheGc every CACHE_GC_INTERVAL_MINUTES (first run a minute after
+ * startup). Runs are skipped while the database is unavailable.
+ */
+export function startCacheGc() {
+  if (!CACHE_GC_ENABLED) {
+    logger.info('[GC] Cache GC disabled (CACHE_GC_ENABLED=false).');
+    return;
+  }
+  const run = () => runWithRequestContext({ gc: true }, async () => {
+    if (running || !isDbAvailable()) return;
+    running = true;
+    try {
+      await runCacheGc();
+    } catch (err) {
+      if (!reportDbError(err)) logger.error(`[GC] Cache GC failed: ${err.message}`);
+    } finally {
+      running = false;
+    }
+  });
+  setTimeout(run, FIRST_RUN_DELAY_MS).unref();
+  setInterval(run, CACHE_GC_INTERVAL_MINUTES * 60 * 1000).unref();
+  logger.info(`[GC] Cache GC every ${CACHE_GC_INTERVAL_MINUTES} min; rows unused for ${TORRENT_CACHE_MAX_AGE_DAYS} days expire.`);
+}
@@ -1,16 +1,31 @@
 // File: src/debrid/utils.js
-// Version: 2.1 – Timeout message includes "timed out", increased max attempts
+// Version: 2.4 – canResolveWithoutAdding for background work that must not touch the account
 
 import { logger } from '../utils.js';
+import { TorrentTimeoutError } from './contract.js';
 
 export function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Whether resolving a hash is free: the provider has it instantly or it already sits in
+ * the account. A hash vouched for only by download history (source 'history') is not,
+ * since resolving it adds the magnet to the user's account again.
+ * @param {object} debrid - Provider instance.
+ * @param {string} infoHash
+ * @returns {Promise<boolean>}
+ */
+export async function canResolveWithoutAdding(debrid, infoHash) {
+  const status = (await debrid.checkCached([infoHash]))[infoHash];
+  return !!status?.cached && status.source !== 'history';
+}
+
 export async function pollTorrentUntilReady(torrentId, getInfoFn, options = {}) {
   const maxAttempts = options.maxAttempts || 90;   // ~3 minutes
   const intervalMs = options.intervalMs || 2000;
   const readyStatuses = ['downloaded', 'finished'];
+  const onProgress = options.onProgress || (() => {});
 
   for (let attempt = 0; attempt < maxAttempts; attempt++) {
     let info;
@@ -32,6 +47,7 @@ export async function pollTorrentUntilReady(torrentId, getInfoFn, options = {})
     }
 
     const status = info.status;
+    await onProgress(info);
     if (readyStatuses.includes(status)) {
       logger.debug(`[POLL] ${torrentId} ready (${status})`);
       return info;
@@ -41,6 +57,5 @@ export async function pollTorrentUntilReady(torrentId, getInfoFn, options = {})
     await sleep(intervalMs);
   }
 
-  // ✅ This error message is now caught by the "isTimeout" check
-  throw new Error(`Torrent ${torrentId} polling timed out after ${maxAttempts} attempts`);
+  throw new TorrentTimeoutError(`Torrent ${torrentId} polling timed out after ${maxAttempts} attempts`);
 }
@@ -0,0 +1,112 @@
+// File: src/episodeNumbering.js
+// Version: 1.3 – Air dates only looked up when a name carries a date
+
+import fs from 'fs';
+import { ABSOLUTE_EPISODE_MAP_PATH } from '../config.js';
+import { getAnimeSeasons } from './tmdb.js';
+import { getMetaDetails, getEpisodeAirDate, parseStremioId, isAnimeId } from './metadata.js';
+import { TTLCache } from './debrid/cachedInfoCache.js';
+import { logger, parseAirDate } from './utils.js';
+
+/**
+ * Stremio asks for imdbId:season:episode, but fansub releases of long-running
+ * anime count episodes from the first one ("Show - 1071"). A show's layout is its
+ * episode count per season, index 0 being season 1. It comes from
+ * ABSOLUTE_EPISODE_MAP_PATH when the show is listed there, otherwise from TMDB, and
+ * only for Japanese animation, so other shows never match on a bare number.
+ * TMDB sometimes splits seasons differently from Stremio; the local table fixes those shows.
+ */
+
+const LAYOUT_TTL_MS = 24 * 60 * 60 * 1000;
+const layoutCache = new TTLCache(LAYOUT_TTL_MS);
+let localTable = null;
+
+function getLocalTable() {
+    if (localTable) return localTable;
+    localTable = {};
+    if (!ABSOLUTE_EPISODE_MAP_PATH) return localTable;
+    try {
+        localTable = JSON.parse(fs.readFileSync(ABSOLUTE_EPISODE_MAP_PATH, 'utf8'));
+        logger.info(`[EPISODES] Loaded absolute numbering for ${Object.keys(localTable).length} shows from ${ABSOLUTE_EPISODE_MAP_PATH}.`);
+    } catch (err) {
+        logger.error(`[EPISODES] Could not read ${ABSOLUTE_EPISODE_MAP_PATH}: ${err.message}`);
+    }
+    return localTable;
+}
+
+/**
+ * Episodes per season for an absolute-numbered show.
+ * @param {string} imdbId
+ * @returns {Promise<number[]|null>} Null if the show is not anime or TMDB does not know it.
+ */
+export async function getEpisodeLayout(imdbId) {
+    const listed = getLocalTable()[imdbId];
+    if (Array.isArray(listed)) return listed;
+
+    const cached = layoutCache.get(imdbId);
+    if (cached !== undefined) return cached;
+    const show = await getAnimeSeasons(imdbId);
+    // A failed TMDB lookup is not cached, so the next request tries again
+    if (!show) return null;
+    let layout = null;
+    if (show.isAnime && show.seasons.length) {
+        layout = [];
+        for (const { season, episodes } of show.seasons) layout[season - 1] = episodes;
+        layout = Array.from(layout, n => n || 0);
+    }
+    layoutCache.set(imdbId, layout);
+    return layout;
+}
+
+/**
+ * @param {number[]} layout - Episodes per season (see getEpisodeLayout).
+ * @param {number} season
+ * @param {number} episode
+ * @returns {number|null} The episode's number counted from the show's first episode.
+ */
+export function toAbsoluteEpisode(layout, season, episode) {
+    if (!layout || season < 1 || season > layout.length || episode < 1) return null;
+    return layout.slice(0, season - 1).reduce((sum, n) => sum + n, episode);
+}
+
+/**
+ * Absolute episode number of a Stremio episode, for shows numbered that way.
+ * @param {string} imdbId
+ * @param {number|string} season
+ * @param {number|string} episode
+ * @returns {Promise<number|null>}
+ */
+export async function getAbsoluteEpisode(imdbId, season, episode) {
+    const layout = await getEpisodeLayout(imdbId);
+    return toAbsoluteEpisode(layout, parseInt(season, 10), parseInt(episode, 10));
+}
+
+/**
+ * The episode a Stremio series id asks for, in the matcher's terms. Kitsu entries
+ * (and the MAL ids mapped to them) are one season each and count their episodes
+ * from 1, so a first season's episode numbers are also its absolute numbers.
+ * @param {string} id - tt0903747:1:2, kitsu:7442:5 or mal:21:1071.
+ * @returns {Promise<{contentId: string, season: number, episode: number, absoluteEpisode: number|null}>}
+ */
+export async function resolveEpisode(id) {
+    const { contentId, season, episode } = parseStremioId(id);
+    if (!isAnimeId(contentId)) {
+        const absoluteEpisode = await getAbsoluteEpisode(contentId, season, episode);
+        return { contentId, season, episode, absoluteEpisode };
+    }
+    const meta = await getMetaDetails(contentId, 'series');
+    const entrySeason = meta?.season || 1;
+    return { contentId, season: entrySeason, episode, absoluteEpisode: entrySeason === 1 ? episode : null };
+}
+
+/**
+ * Air date of an episode (see getEpisodeAirDate), for daily shows released by date.
+ * It costs a TMDB call, so it is only looked up when one of the names carries a date.
+ * @param {{contentId: string, season: number, episode: number}} target - From resolveEpisode.
+ * @param {string[]} names - Torrent names or file paths that may be matched by date.
+ * @returns {Promise<string|null>} YYYY-MM-DD.
+ */
+export async function airDateFor({ contentId, season, episode }, names) {
+    if (!names.some(name => name && parseAirDate(name))) return null;
+    return getEpisodeAirDate(contentId, season, episode);
+}
@@ -0,0 +1,99 @@
+// File: src/health.js
+// Version: 1.2 – Database check covers either storage backend
+
+import { storage, getDbStatus } from '../db.js';
+import { pingBitmagnet } from './bitmagnet.js';
+import { pingMetadata } from './metadata.js';
+import { getDebridProviders } from './debrid/index.js';
+import { resolveSettings } from './userConfig.js';
+import { logger } from './utils.js';
+
+const PROBE_TIMEOUT_MS = 5000;
+// Orchestrators poll /ready often; every replica probes its dependencies at most this often
+const READY_CACHE_MS = 10 * 1000;
+
+let cachedReport = null;
+let cachedAt = 0;
+let inFlight = null;
+
+async function probe(fn) {
+    const start = Date.now();
+    let timer;
+    try {
+        await Promise.race([
+            fn(),
+            new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error(`timed out after ${PROBE_TIMEOUT_MS} ms`)), PROBE_TIMEOUT_MS);
+            }),
+        ]);
+        return { status: 'ok', latencyMs: Date.now() - start };
+    } catch (err) {
+        return { status: 'error', latencyMs: Date.now() - start, error: err.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+async function runChecks() {
+    // The server's own keys; per-user keys are only known while serving their requests
+    const providers = getDebridProviders(resolveSettings(null));
+    const [database, bitmagnet, metadata, ...debridResults] = await Promise.all([
+        probe(() => storage.ping()),
+        probe(() => pingBitmagnet(PROBE_TIMEOUT_MS)),
+        probe(() => pingMetadata(PROBE_TIMEOUT_MS)),
+        // Listing the account's torrents fails on an invalid or expired key
+        ...providers.map(debrid => probe(() => debrid.getTorrents())),
+    ]);
+    const debrid = Object.fromEntries(providers.map((d, i) => [d.name, debridResults[i]]));
+
+    // Without the database the addon still serves P2P and uncached debrid streams (db.js)
+    const required = [bitmagnet, metadata, ...debridResults];
+    let status = 'ok';
+    if (required.some(r => r.status !== 'ok')) status = 'error';
+    else if (database.status !== 'ok') status = 'degraded';
+    if (status !== 'ok') {
+        const failed = Object.entries({ database, bitmagnet, metadata, ...debrid })
+            .filter(([, r]) => r.status !== 'ok')
+            .map(([name, r]) => `${name} (${r.error})`);
+        logger.warn(`[HEALTH] Not ready: ${failed.join(', ')}`);
+    }
+    return {
+        status,
+        checkedAt: new Date().toISOString(),
+        checks: { database: { ...database, backend: storage.dialect, ...getDbStatus() }, bitmagnet, metadata, debrid },
+    };
+}
+
+/**
+ * Liveness: the process is up and serving requests. `status` is 'degraded'
+ * while the database is unavailable.
+ * @returns {{status: string, uptimeSeconds: number, database: object}}
+ */
+export function getHealth() {
+    const database = getDbStatus();
+    return {
+        status: database.state === 'degraded' ? 'degraded' : 'ok',
+        uptimeSeconds: Math.round(process.uptime()),
+        database,
+    };
+}
+
+/**
+ * Readiness: every dependency answers, with per-dependency status and latency.
+ * 'degraded' (still ready) when only the database is down.
+ * Results are reused for READY_CACHE_MS and concurrent callers share one run.
+ * @returns {Promise<{status: string, checkedAt: string, checks: object}>}
+ */
+export async function getReadiness() {
+    if (cachedReport && Date.now() - cachedAt < READY_CACHE_MS) return cachedReport;
+    if (!inFlight) {
+        inFlight = runChecks()
+            .then(report => {
+                cachedReport = report;
+                cachedAt = Date.now();
+                return report;
+            })
+            .finally(() => { inFlight = null; });
+    }
+    return inFlight;
+}
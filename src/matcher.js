@@ -1,11 +1,36 @@
 // File: src/matcher.js
-// Version: 3.3 – Use torrent_info_json (matching migrated DB column)
+// Version: 3.14 – Absolute batch ranges need more than one video file
 
 import stringSimilarity from 'string-similarity';
 import { SIMILARITY_THRESHOLD, STRICT_LANGUAGE_FILTER, STREAM_LIMIT_PER_QUALITY } from '../config.js';
 import { getTorrentFiles } from './bitmagnet.js';
 import PTT from 'parse-torrent-title';
-import { logger, QUALITY_ORDER, getQuality, sanitizeName, robustParseInfo } from './utils.js';
+import { logger, QUALITY_ORDER, getQuality, sanitizeName, robustParseInfo, parseAbsoluteEpisodes, parsePackSeasons, parseFolderSeason, parseBareEpisode, parseAirDate } from './utils.js';
+import { matcherDecisions } from './metrics.js';
+
+// Counts a decision and, when the caller passed a trace array (/debug/match),
+// records the candidate with the gate that decided it.
+function decide(trace, candidate, type, result, reason) {
+  matcherDecisions.inc({ type, result, reason });
+  if (trace) trace.push({ ...candidate, result, reason });
+}
+const accept = (trace, candidate, type, reason) => decide(trace, candidate, type, 'accepted', reason);
+const reject = (trace, candidate, type, reason) => decide(trace, candidate, type, 'rejected', reason);
+
+function describeCandidate(torrent, parsedInfo, similarity, language) {
+  return {
+    infoHash: torrent.infoHash,
+    name: torrent.torrent.name,
+    seeders: torrent.seeders,
+    size: torrent.torrent.size,
+    filesStatus: torrent.torrent.filesStatus,
+    hasFilesInfo: torrent.torrent.hasFilesInfo,
+    parsed: parsedInfo,
+    similarity: Number(similarity.toFixed(3)),
+    language,
+    quality: getQuality(torrent.videoResolution),
+  };
+}
 
 function getTitleSimilarity(tmdbTitle, torrentName) {
   if (!tmdbTitle) return 0;
@@ -14,6 +39,13 @@ function getTitleSimilarity(tmdbTitle, torrentName) {
   return stringSimilarity.compareTwoStrings(tmdbTitle.toLowerCase(), parsed.title.toLowerCase());
 }
 
+// Fansub names ("[Group] Show - 1071 [1080p]") lose their title in sanitizeName,
+// so absolute-numbered releases are also compared on the title before the number.
+function getAbsoluteTitleSimilarity(tmdbTitle, absolute) {
+  if (!tmdbTitle || !absolute.title) return 0;
+  return stringSimilarity.compareTwoStrings(tmdbTitle.toLowerCase(), absolute.title.toLowerCase());
+}
+
 export function getBestLanguage(torrentLanguages, preferredLanguages) {
   if (!torrentLanguages || torrentLanguages.length === 0) return 'en';
   if (preferredLanguages.length > 0) {
@@ -25,22 +57,85 @@ export function getBestLanguage(torrentLanguages, preferredLanguages) {
   return torrentLanguages[0].id || 'en';
 }
 
-export function findFileInTorrentInfo(torrentInfo, season, episode) {
-  const { season: fallbackSeason } = robustParseInfo(torrentInfo.filename);
+// Whether a parse result is the episode, alone or in a multi-episode run.
+function coversEpisode(info, season, episode) {
+  return info.season === season && (info.episode === episode || !!info.episodes?.includes(episode));
+}
+
+/**
+ * Episodes a multi-episode file or release holds ("S02E05E06" → [5, 6]).
+ * @param {string} name - Torrent name or file path.
+ * @returns {number[]|null} Null for anything holding a single episode.
+ */
+export function getEpisodeSpan(name) {
+  return robustParseInfo(name.split('/').pop()).episodes ?? null;
+}
+
+/**
+ * Season the files of a pack belong to when their own names don't say: the season
+ * on the torrent name, or none for packs spanning several seasons.
+ * @param {string} torrentName
+ * @returns {number|null}
+ */
+export function getPackFallbackSeason(torrentName) {
+  if (parsePackSeasons(torrentName)) return null;
+  return robustParseInfo(torrentName).season ?? null;
+}
+
+/**
+ * Whether a file in a torrent is the requested episode: numbered SxxEyy, named with
+ * its air date, or, for absolute-numbered shows, named with an absolute number or
+ * range covering it.
+ * The file name is parsed first, with the season of its folder ("Season 3/") over
+ * the pack's; the full path only when the name alone has no episode.
+ * @param {string} path - File path inside the torrent.
+ * @param {number|null} fallbackSeason - See getPackFallbackSeason.
+ * @param {number} season
+ * @param {number} episode
+ * @param {number|null} [absoluteEpisode] - See getAbsoluteEpisode (episodeNumbering.js).
+ * @param {string|null} [airDate] - YYYY-MM-DD, see getEpisodeAirDate (metadata.js).
+ */
+export function fileMatchesEpisode(path, fallbackSeason, season, episode, absoluteEpisode = null, airDate = null) {
+  const fileName = path.split('/').pop();
+  const folderSeason = parseFolderSeason(path);
+  let fileInfo = robustParseInfo(fileName, folderSeason ?? fallbackSeason);
+  if (fileInfo.episode === undefined) fileInfo = robustParseInfo(path, folderSeason ?? fallbackSeason);
+  if (coversEpisode(fileInfo, season, episode)) return true;
+  if (fileInfo.episode !== undefined) return false;
+  // "Season 3/05 - Title.mkv": the folder gives the season, the name only the episode
+  if (folderSeason === season && parseBareEpisode(fileName) === episode) return true;
+  if (airDate && parseAirDate(path) === airDate) return true;
+  if (!absoluteEpisode) return false;
+  const absolute = parseAbsoluteEpisodes(path);
+  return !!absolute && absolute.from <= absoluteEpisode && absoluteEpisode <= absolute.to;
+}
+
+export function findFileInTorrentInfo(torrentInfo, season, episode, absoluteEpisode = null, airDate = null) {
+  const fallbackSeason = getPackFallbackSeason(torrentInfo.filename);
   for (const file of torrentInfo.files) {
-    const fileInfo = robustParseInfo(file.path, fallbackSeason);
-    if (fileInfo.season === season && fileInfo.episode === episode) return file;
+    if (fileMatchesEpisode(file.path, fallbackSeason, season, episode, absoluteEpisode, airDate)) return file;
   }
   return null;
 }
 
-export async function findBestSeriesStreams(tmdbShow, season, episode, newTorrents, cachedTorrents, preferredLanguages) {
+/**
+ * Matches Bitmagnet results against one episode.
+ * @param {number|null} absoluteEpisode - The episode's absolute number for anime numbered
+ *   that way (releases like "Show - 1071" and batches "Show 13-24"), otherwise null.
+ * @param {string|null} airDate - The episode's air date (YYYY-MM-DD), for daily shows
+ *   released by date ("Show 2026.10.18").
+ * Packs of several seasons ("S01-S05", "Complete Series") covering the season are
+ * searched file by file like single-season packs.
+ * @param {Array} [trace] - Receives one entry per evaluated torrent (see describeCandidate).
+ */
+export async function findBestSeriesStreams(tmdbShow, season, episode, absoluteEpisode, airDate, newTorrents, cachedTorrents, preferredLanguages, trace) {
   const streams = [];
   const cachedStreams = [];
 
   for (const torrent of cachedTorrents) {
     // ✅ FIXED: use torrent_info_json (migrated column name)
-    if (findFileInTorrentInfo(torrent.torrent_info_json, season, episode)) {
+    const cachedFile = findFileInTorrentInfo(torrent.torrent_info_json, season, episode, absoluteEpisode, airDate);
+    if (cachedFile) {
       logger.debug(`[MATCHER-SERIES] Found S${season}E${episode} in cached torrent: "${torrent.torrent_info_json.filename}"`);
       cachedStreams.push({
         infoHash: torrent.infohash,
@@ -49,7 +144,9 @@ export async function findBestSeriesStreams(tmdbShow, season, episode, newTorren
         language: torrent.language,
         quality: torrent.quality,
         size: torrent.torrent_info_json.bytes,
+        provider: torrent.provider,
         isCached: true,
+        episodes: getEpisodeSpan(cachedFile.path),
       });
     }
   }
@@ -64,22 +161,42 @@ export async function findBestSeriesStreams(tmdbShow, season, episode, newTorren
     const sanitizedForDiag = sanitizeName(torrentData.name);
     logger.debug(`[DIAGNOSTIC-PTT] Raw PTT result for "${sanitizedForDiag}": ${JSON.stringify(PTT.parse(sanitizedForDiag))}`);
 
-    const titleSimilarity = getTitleSimilarity(tmdbShow.name, torrentData.name);
+    const parsedInfo = robustParseInfo(torrentData.name);
+    const { season: topSeason, episode: topEpisode } = parsedInfo;
+    const packSeasons = topEpisode === undefined ? parsePackSeasons(torrentData.name) : null;
+    const inPackSeasons = !!packSeasons && packSeasons.from <= season && (packSeasons.to === null || season <= packSeasons.to);
+    // Bare numbers only count as absolute episodes for shows numbered that way
+    const absolute = absoluteEpisode && !packSeasons && topSeason === undefined && topEpisode === undefined
+      ? parseAbsoluteEpisodes(torrentData.name)
+      : null;
+    // A date only identifies the episode when nothing else does: "Show S03 2026.10.18"
+    // is a season pack, handled by the season checks
+    const nameDate = airDate && topSeason === undefined && topEpisode === undefined && !packSeasons
+      ? parseAirDate(torrentData.name)
+      : null;
+
+    let titleSimilarity = getTitleSimilarity(tmdbShow.name, torrentData.name);
+    if (absolute) titleSimilarity = Math.max(titleSimilarity, getAbsoluteTitleSimilarity(tmdbShow.name, absolute));
     logger.debug(`[MATCHER-SERIES] -> Similarity score: ${titleSimilarity.toFixed(2)} (Threshold: ${SIMILARITY_THRESHOLD})`);
 
+    const bestLanguage = getBestLanguage(torrent.languages, preferredLanguages);
+    const candidate = trace && describeCandidate(torrent, { ...parsedInfo, ...(absolute && { absolute }), ...(packSeasons && { packSeasons }), ...(nameDate && { airDate: nameDate }) }, titleSimilarity, bestLanguage);
+
     if (titleSimilarity < SIMILARITY_THRESHOLD) {
       logger.debug(`[MATCHER-SERIES] -> REJECTED: Low title similarity.`);
+      reject(trace, candidate, 'series', 'low_similarity');
       continue;
     }
 
-    const bestLanguage = getBestLanguage(torrent.languages, preferredLanguages);
-    const parsedInfo = robustParseInfo(torrentData.name);
-    const { season: topSeason, episode: topEpisode } = parsedInfo;
-
     logger.debug(`[MATCHER-SERIES] -> Robust parse found: Season=${topSeason || 'N/A'}, Episode=${topEpisode || 'N/A'}`);
 
-    if (topSeason === season && topEpisode === episode) {
-      logger.debug(`[MATCHER-SERIES] -> ACCEPTED: Direct match on torrent name.`);
+    // A multi-file "S01E01-E03" holds one file per episode: found in the pack branch below
+    const nameCovers = coversEpisode(parsedInfo, season, episode);
+    if (nameCovers && !(parsedInfo.episodes && torrentData.filesStatus === 'multi')) {
+      logger.debug(parsedInfo.episodes
+        ? `[MATCHER-SERIES] -> ACCEPTED: Torrent name covers episodes ${parsedInfo.episodes.join(', ')}.`
+        : `[MATCHER-SERIES] -> ACCEPTED: Direct match on torrent name.`);
+      accept(trace, candidate, 'series', 'episode_name');
       streams.push({
         infoHash: torrent.infoHash,
         fileIndex: 0,
@@ -89,25 +206,85 @@ export async function findBestSeriesStreams(tmdbShow, season, episode, newTorren
         quality: getQuality(torrent.videoResolution),
         size: torrentData.size,
         isCached: false,
+        episodes: parsedInfo.episodes ?? null,
       });
       continue;
     }
 
-    if (topSeason && topEpisode) {
+    if (topSeason && topEpisode && !nameCovers) {
       logger.debug(`[MATCHER-SERIES] -> REJECTED: Torrent name is for a different episode (S${topSeason}E${topEpisode}).`);
+      reject(trace, candidate, 'series', 'wrong_episode');
       continue;
     }
 
-    if (topSeason === season) {
-      logger.debug(`[MATCHER-SERIES] -> Torrent is a pack for the correct season. Checking file readiness and status...`);
+    if (absolute) {
+      if (absoluteEpisode < absolute.from || absoluteEpisode > absolute.to) {
+        logger.debug(`[MATCHER-SERIES] -> REJECTED: Absolute episode(s) ${absolute.from}-${absolute.to} do not include ${absoluteEpisode}.`);
+        reject(trace, candidate, 'series', 'wrong_episode');
+        continue;
+      }
+      if (absolute.from === absolute.to) {
+        logger.debug(`[MATCHER-SERIES] -> ACCEPTED: Absolute episode ${absoluteEpisode} on torrent name.`);
+        accept(trace, candidate, 'series', 'absolute_episode');
+        streams.push({
+          infoHash: torrent.infoHash,
+          fileIndex: 0,
+          torrentName: torrentData.name,
+          seeders: torrent.seeders,
+          language: bestLanguage,
+          quality: getQuality(torrent.videoResolution),
+          size: torrentData.size,
+          isCached: false,
+        });
+        continue;
+      }
+    }
+
+    // Daily shows: a multi-file release for the date (episode plus extras) is searched like a pack.
+    // nameDate excludes the season and pack cases above and below, so it never overrides them.
+    if (nameDate) {
+      if (nameDate !== airDate) {
+        logger.debug(`[MATCHER-SERIES] -> REJECTED: Torrent aired on ${nameDate}, not ${airDate}.`);
+        reject(trace, candidate, 'series', 'wrong_episode');
+        continue;
+      }
+      if (torrentData.filesStatus !== 'multi') {
+        logger.debug(`[MATCHER-SERIES] -> ACCEPTED: Air date ${airDate} on torrent name.`);
+        accept(trace, candidate, 'series', 'air_date');
+        streams.push({
+          infoHash: torrent.infoHash,
+          fileIndex: 0,
+          torrentName: torrentData.name,
+          seeders: torrent.seeders,
+          language: bestLanguage,
+          quality: getQuality(torrent.videoResolution),
+          size: torrentData.size,
+          isCached: false,
+        });
+        continue;
+      }
+    }
+
+    if ((topSeason === season && !packSeasons) || inPackSeasons || absolute || nameDate) {
+      const packKind = absolute ? `a batch of episodes ${absolute.from}-${absolute.to}`
+        : nameDate ? `a release for ${nameDate}`
+        : packSeasons ? `a pack of seasons ${packSeasons.from}-${packSeasons.to ?? 'end'}`
+        : 'a pack for the correct season';
+      logger.debug(`[MATCHER-SERIES] -> Torrent is ${packKind}. Checking file readiness and status...`);
 
       if (!torrentData.hasFilesInfo) {
         logger.warn(`[MATCHER-SERIES] -> REJECTED: Torrent pack '${torrentData.name}' has hasFilesInfo=false. Files are not indexed yet.`);
+        reject(trace, candidate, 'series', 'missing_files_info');
         continue;
       }
 
-      if (torrentData.filesStatus === 'single') {
+      // `absolute` only gets here as a batch: single absolute episodes were accepted above
+      if (torrentData.filesStatus === 'single' && (packSeasons || absolute)) {
+        logger.debug(`[MATCHER-SERIES] -> REJECTED: A single file cannot hold ${packSeasons ? 'several seasons' : 'a batch of episodes'}.`);
+        reject(trace, candidate, 'series', 'single_file_range');
+      } else if (torrentData.filesStatus === 'single') {
         logger.debug(`[MATCHER-SERIES] -> Torrent is 'single' file status. Treating as a single-file pack without a further API call.`);
+        accept(trace, candidate, 'series', 'single_file_pack');
         streams.push({
           infoHash: torrent.infoHash,
           fileIndex: 0,
@@ -123,21 +300,28 @@ export async function findBestSeriesStreams(tmdbShow, season, episode, newTorren
         const files = await getTorrentFiles(torrent.infoHash);
         if (!files || files.length === 0) {
           logger.debug(`[MATCHER-SERIES] -> REJECTED: Multi-file pack contains no files according to the API.`);
+          reject(trace, candidate, 'series', 'missing_files_info');
           continue;
         }
         const videoFiles = files.filter(f => f.fileType === 'video');
         if (videoFiles.length === 0) {
           logger.debug(`[MATCHER-SERIES] -> REJECTED: Pack contains no video files.`);
+          reject(trace, candidate, 'series', 'no_video_files');
+          continue;
+        }
+        if (absolute && videoFiles.length < 2) {
+          logger.debug(`[MATCHER-SERIES] -> REJECTED: Batch ${absolute.from}-${absolute.to} has only one video file.`);
+          reject(trace, candidate, 'series', 'single_file_range');
           continue;
         }
         logger.debug(`[MATCHER-SERIES] -> Found ${videoFiles.length} video file(s) in pack. Searching for S${season}E${episode}.`);
         const matchingFile = videoFiles.find(file => {
           logger.debug(`[MATCHER-SERIES] -> Checking file path: "${file.path}"`);
-          const fileInfo = robustParseInfo(file.path, topSeason);
-          return fileInfo.season === season && fileInfo.episode === episode;
+          return fileMatchesEpisode(file.path, packSeasons ? null : topSeason, season, episode, absoluteEpisode, airDate);
         });
         if (matchingFile) {
           logger.debug(`[MATCHER-SERIES] -> ACCEPTED: Found matching file inside pack: "${matchingFile.path}"`);
+          accept(trace, candidate && { ...candidate, file: matchingFile.path }, 'series', 'pack_file');
           streams.push({
             infoHash: torrent.infoHash,
             fileIndex: matchingFile.index,
@@ -147,20 +331,30 @@ export async function findBestSeriesStreams(tmdbShow, season, episode, newTorren
             quality: getQuality(torrent.videoResolution),
             size: torrentData.size,
             isCached: false,
+            episodes: getEpisodeSpan(matchingFile.path),
           });
         } else {
           logger.debug(`[MATCHER-SERIES] -> REJECTED: Multi-file pack did not contain the requested episode.`);
+          reject(trace, candidate, 'series', 'wrong_episode');
         }
       } else {
         logger.warn(`[MATCHER-SERIES] -> REJECTED: Unknown filesStatus '${torrentData.filesStatus}'.`);
+        reject(trace, candidate, 'series', 'unknown_files_status');
       }
+    } else {
+      logger.debug(`[MATCHER-SERIES] -> REJECTED: Torrent is not for season ${season}.`);
+      reject(trace, candidate, 'series', 'wrong_season');
     }
   }
 
   return { streams, cachedStreams };
 }
 
-export async function findBestMovieStreams(tmdbMovie, newTorrents, cachedTorrents, preferredLanguages) {
+/**
+ * Matches Bitmagnet results against a movie.
+ * @param {Array} [trace] - Receives one entry per evaluated torrent (see describeCandidate).
+ */
+export async function findBestMovieStreams(tmdbMovie, newTorrents, cachedTorrents, preferredLanguages, trace) {
   const streams = [];
   const cachedStreams = [];
 
@@ -174,6 +368,7 @@ export async function findBestMovieStreams(tmdbMovie, newTorrents, cachedTorrent
       language: torrent.language,
       quality: torrent.quality,
       size: torrent.torrent_info_json.bytes,
+      provider: torrent.provider,
       isCached: true,
     });
   }
@@ -189,12 +384,16 @@ export async function findBestMovieStreams(tmdbMovie, newTorrents, cachedTorrent
     const titleSimilarity = getTitleSimilarity(tmdbMovie.title, torrentData.name);
     logger.debug(`[MATCHER-MOVIE] -> Similarity score: ${titleSimilarity.toFixed(2)} (Threshold: ${SIMILARITY_THRESHOLD})`);
 
+    const bestLanguage = getBestLanguage(torrent.languages, preferredLanguages);
+    const parsedInfo = robustParseInfo(torrentData.name);
+    const candidate = trace && describeCandidate(torrent, parsedInfo, titleSimilarity, bestLanguage);
+
     if (titleSimilarity < SIMILARITY_THRESHOLD) {
       logger.debug(`[MATCHER-SERIES] -> REJECTED: Low title similarity.`);
+      reject(trace, candidate, 'movie', 'low_similarity');
       continue;
     }
 
-    const parsedInfo = robustParseInfo(torrentData.name);
     const tmdbYear = new Date(tmdbMovie.release_date).getFullYear();
     const yearMatch = !parsedInfo.year || parsedInfo.year == tmdbYear;
 
@@ -202,11 +401,12 @@ export async function findBestMovieStreams(tmdbMovie, newTorrents, cachedTorrent
 
     if (!yearMatch) {
       logger.debug(`[MATCHER-MOVIE] -> REJECTED: Year mismatch.`);
+      reject(trace, candidate, 'movie', 'year_mismatch');
       continue;
     }
 
     logger.debug(`[MATCHER-MOVIE] -> ACCEPTED: Title and year match.`);
-    const bestLanguage = getBestLanguage(torrent.languages, preferredLanguages);
+    accept(trace, candidate, 'movie', 'title_and_year');
     streams.push({
       infoHash: torrent.infoHash,
       torrentName: torrentData.name,
@@ -221,10 +421,14 @@ export async function findBestMovieStreams(tmdbMovie, newTorrents, cachedTorrent
   return { streams, cachedStreams };
 }
 
-export function sortAndFilterStreams(streams, cachedStreams, preferredLanguages) {
+export function sortAndFilterStreams(streams, cachedStreams, preferredLanguages, options = {}) {
+  const {
+    strictLanguageFilter = STRICT_LANGUAGE_FILTER,
+    streamLimitPerQuality = STREAM_LIMIT_PER_QUALITY,
+  } = options;
   let allStreams = [...cachedStreams, ...streams];
 
-  if (STRICT_LANGUAGE_FILTER && preferredLanguages.length > 0) {
+  if (strictLanguageFilter && preferredLanguages.length > 0) {
     const prefLangSet = new Set(preferredLanguages);
     allStreams = allStreams.filter(stream => prefLangSet.has(stream.language));
     logger.debug(`[MATCHER] Applied strict language filter. Kept ${allStreams.length} streams.`);
@@ -252,7 +456,7 @@ export function sortAndFilterStreams(streams, cachedStreams, preferredLanguages)
   for (const stream of allStreams) {
     const key = `${stream.language}_${stream.quality}`;
     counts[key] = (counts[key] || 0) + 1;
-    if (counts[key] <= STREAM_LIMIT_PER_QUALITY) {
+    if (counts[key] <= streamLimitPerQuality) {
       finalStreams.push(stream);
     }
   }
@@ -1,15 +1,22 @@
 import axios from 'axios';
 import { TMDB_API_KEY, OMDB_API_KEY, TRAKT_CLIENT_ID } from '../config.js';
 import { logger } from './utils.js';
+import { TTLCache } from './debrid/cachedInfoCache.js';
 
 const tmdb = axios.create({ baseURL: 'https://api.themoviedb.org/3', params: { api_key: TMDB_API_KEY } });
 const cinemeta = axios.create({ baseURL: 'https://v3-cinemeta.strem.io/meta' });
+const kitsu = axios.create({ baseURL: 'https://kitsu.app/api/edge', headers: { Accept: 'application/vnd.api+json' } });
 
 // Conditional clients for optional APIs
 const omdb = OMDB_API_KEY ? axios.create({ baseURL: 'http://www.omdbapi.com', params: { apikey: OMDB_API_KEY } }) : null;
 const trakt = TRAKT_CLIENT_ID ? axios.create({ baseURL: 'https://api.trakt.tv', headers: { 'Content-Type': 'application/json', 'trakt-api-version': '2', 'trakt-api-key': TRAKT_CLIENT_ID } }) : null;
 
 const metaCache = new Map();
+// Cross-id mapping (mal:<id> → Kitsu id, tmdb:<imdb id> → TMDB show id); entries never change, so they are kept for the process lifetime
+const idMappings = new Map();
+// imdbId:season:episode → air date, or null when TMDB has none (yet), so it is asked again later
+const AIR_DATE_TTL_MS = 12 * 60 * 60 * 1000;
+const airDates = new TTLCache(AIR_DATE_TTL_MS);
 
 /**
  * Normalized Metadata Object Structure:
@@ -18,8 +25,34 @@ const metaCache = new Map();
  *   year: "2020", 
  *   source: "ProviderName" 
  * }
+ * Kitsu results also carry `season`, parsed from the entry's title (1 if none).
  */
 
+// --- STREMIO IDS ---
+
+// Anime catalogs address titles as kitsu:<id>[:<episode>] or mal:<id>[:<episode>]
+export const ANIME_ID_PREFIXES = ['kitsu', 'mal'];
+
+export function isAnimeId(contentId) {
+    return ANIME_ID_PREFIXES.includes(String(contentId).split(':')[0]);
+}
+
+/**
+ * Splits a Stremio id into the content id and the episode.
+ * IMDb ids carry season and episode (tt0903747:1:2); anime ids only the episode,
+ * counted within the Kitsu entry (kitsu:7442:5).
+ * @param {string} id
+ * @returns {{contentId: string, season: number|undefined, episode: number|undefined}}
+ */
+export function parseStremioId(id) {
+    const parts = String(id).split(':');
+    const toNumber = (value) => (value === undefined ? undefined : parseInt(value, 10));
+    if (ANIME_ID_PREFIXES.includes(parts[0])) {
+        return { contentId: `${parts[0]}:${parts[1]}`, season: undefined, episode: toNumber(parts[2]) };
+    }
+    return { contentId: parts[0], season: toNumber(parts[1]), episode: toNumber(parts[2]) };
+}
+
 // --- PROVIDER IMPLEMENTATIONS ---
 
 async function fetchTmdb(imdbId, type) {
@@ -101,6 +134,49 @@ async function fetchTrakt(imdbId, type) {
     }
 }
 
+// Kitsu has one entry per season: "Shingeki no Kyojin Season 2", "Boku no Hero Academia 2nd Season"
+const SEASON_SUFFIX_REGEX = /[\s:-]*(?:season\s*(\d{1,2})|(\d{1,2})(?:st|nd|rd|th)\s+season|s(\d{1,2}))\s*$/i;
+
+function splitSeason(title) {
+    const match = title.match(SEASON_SUFFIX_REGEX);
+    if (!match || match.index === 0) return { name: title, season: 1 };
+    return { name: title.slice(0, match.index), season: parseInt(match[1] || match[2] || match[3], 10) };
+}
+
+async function mapMalToKitsu(malId) {
+    const key = `mal:${malId}`;
+    if (idMappings.has(key)) return idMappings.get(key);
+    const response = await kitsu.get('/mappings', {
+        params: { 'filter[externalSite]': 'myanimelist/anime', 'filter[externalId]': malId, include: 'item' },
+    });
+    const item = (response.data?.included || []).find(i => i.type === 'anime');
+    if (!item) throw new Error(`No Kitsu entry for MAL id ${malId}`);
+    logger.debug(`[METADATA] Mapped ${key} to kitsu:${item.id}`);
+    idMappings.set(key, item.id);
+    return item.id;
+}
+
+async function fetchKitsu(contentId) {
+    try {
+        const [prefix, id] = contentId.split(':');
+        const kitsuId = prefix === 'mal' ? await mapMalToKitsu(id) : id;
+        const response = await kitsu.get(`/anime/${kitsuId}`);
+        const attributes = response.data?.data?.attributes;
+        if (!attributes) throw new Error('Not found');
+
+        // The canonical title is usually the romanized one fansub releases use
+        const { name, season } = splitSeason(attributes.canonicalTitle || attributes.titles?.en_jp || attributes.titles?.en);
+        return {
+            name,
+            year: attributes.startDate ? attributes.startDate.split('-')[0] : null,
+            season,
+            source: 'Kitsu'
+        };
+    } catch (e) {
+        throw new Error(`Kitsu lookup failed: ${e.message}`);
+    }
+}
+
 // --- ORCHESTRATION ---
 
 export async function getMetaDetails(imdbId, type) {
@@ -112,6 +188,19 @@ export async function getMetaDetails(imdbId, type) {
 
     logger.info(`[METADATA] resolving metadata for ${imdbId} (${type})...`);
 
+    // kitsu: and mal: ids skip the waterfall; only Kitsu knows them
+    if (isAnimeId(imdbId)) {
+        try {
+            const result = await fetchKitsu(imdbId);
+            logger.debug(`[METADATA] Resolved via Kitsu: "${result.name}" (season ${result.season})`);
+            metaCache.set(cacheKey, result);
+            return result;
+        } catch (err) {
+            logger.error(`[METADATA] ${err.message} (${imdbId})`);
+            return null;
+        }
+    }
+
     // TIER 1: Parallel Execution (TMDB + Cinemeta)
     // V6 Fix: Attach .catch() immediately to silence unhandled background rejections
     const tmdbPromise = fetchTmdb(imdbId, type);
@@ -166,3 +255,53 @@ export async function getMetaDetails(imdbId, type) {
     logger.error(`[METADATA] CRITICAL: Failed to resolve metadata for ${imdbId} using all available providers.`);
     return null;
 }
+
+// --- EPISODE AIR DATES ---
+
+async function getTmdbShowId(imdbId) {
+    const key = `tmdb:${imdbId}`;
+    if (idMappings.has(key)) return idMappings.get(key);
+    const response = await tmdb.get(`/find/${imdbId}`, { params: { external_source: 'imdb_id' } });
+    const show = response.data?.tv_results?.[0];
+    if (!show) return null;
+    idMappings.set(key, show.id);
+    return show.id;
+}
+
+/**
+ * Air date of an episode, for daily shows released by date ("Show 2026.10.18").
+ * Only IMDb ids are looked up; anime ids and lookup failures give null.
+ * @param {string} imdbId
+ * @param {number} season
+ * @param {number} episode
+ * @returns {Promise<string|null>} YYYY-MM-DD.
+ */
+export async function getEpisodeAirDate(imdbId, season, episode) {
+    if (isAnimeId(imdbId) || !season || !episode) return null;
+    const cacheKey = `${imdbId}:${season}:${episode}`;
+    const cached = airDates.get(cacheKey);
+    if (cached !== undefined) return cached;
+    try {
+        const showId = await getTmdbShowId(imdbId);
+        const response = showId && await tmdb.get(`/tv/${showId}/season/${season}/episode/${episode}`);
+        const airDate = response?.data?.air_date || null;
+        airDates.set(cacheKey, airDate);
+        return airDate;
+    } catch (e) {
+        // TMDB answers 404 for episodes it does not list; other failures are retried
+        if (e.response?.status === 404) airDates.set(cacheKey, null);
+        logger.debug(`[METADATA] No air date for ${cacheKey}: ${e.message}`);
+        return null;
+    }
+}
+
+// --- HEALTH ---
+
+/**
+ * Checks that the primary metadata provider (TMDB) answers and accepts our key.
+ * @param {number} timeoutMs
+ * @throws {Error} If TMDB is unreachable or rejects the key.
+ */
+export async function pingMetadata(timeoutMs) {
+    await tmdb.get('/configuration', { timeout: timeoutMs });
+}
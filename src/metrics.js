@@ -0,0 +1,152 @@
+// File: src/metrics.js
+// Version: 1.1 – Cache GC evictions
+
+/**
+ * A small in-process registry rendering the Prometheus text format (0.0.4).
+ * Metrics are per replica; Prometheus aggregates across instances.
+ * Label values must stay low-cardinality: provider names, reasons, status codes –
+ * never hashes, ids or provider keys.
+ */
+
+const PREFIX = 'bitmagnet_addon_';
+const registry = [];
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+const COUNT_BUCKETS = [0, 1, 5, 10, 25, 50, 100, 250];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function formatLabels(labelNames, values, extra = '') {
+    const pairs = labelNames.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+    if (extra) pairs.push(extra);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+class Counter {
+    constructor(name, help, labelNames = []) {
+        this.name = PREFIX + name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.values = new Map();
+        registry.push(this);
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = labelKey(this.labelNames, labels);
+        this.values.set(key, (this.values.get(key) || 0) + value);
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+        for (const [key, value] of this.values) {
+            lines.push(`${this.name}${formatLabels(this.labelNames, JSON.parse(key))} ${value}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+class Histogram {
+    constructor(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+        this.name = PREFIX + name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.buckets = buckets;
+        this.values = new Map();
+        registry.push(this);
+    }
+
+    observe(labels, value) {
+        const key = labelKey(this.labelNames, labels);
+        let entry = this.values.get(key);
+        if (!entry) {
+            entry = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.values.set(key, entry);
+        }
+        this.buckets.forEach((bound, i) => { if (value <= bound) entry.counts[i]++; });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    /**
+     * Starts a timer; call the returned function to observe the elapsed seconds.
+     * Labels passed to the end function are merged over the start labels. Only
+     * the first call observes, so a catch block can end a timer unconditionally.
+     */
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        let ended = false;
+        return (endLabels = {}) => {
+            if (ended) return;
+            ended = true;
+            this.observe({ ...labels, ...endLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+        };
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        for (const [key, entry] of this.values) {
+            const values = JSON.parse(key);
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, `le="${bound}"`)} ${entry.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, 'le="+Inf"')} ${entry.count}`);
+            lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${entry.sum}`);
+            lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${entry.count}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+// ================== Bitmagnet search ==================
+export const searchDuration = new Histogram(
+    'search_duration_seconds', 'Bitmagnet searchTorrents latency.', ['content_type']);
+export const searchResults = new Histogram(
+    'search_results', 'Torrents returned per Bitmagnet search.', ['content_type'], COUNT_BUCKETS);
+
+// ================== Matcher ==================
+// result: accepted | rejected; reason: why (low_similarity, year_mismatch, missing_files_info, wrong_episode, ...)
+export const matcherDecisions = new Counter(
+    'matcher_decisions_total', 'Matcher decisions on new torrents.', ['type', 'result', 'reason']);
+
+// ================== Debrid resolution ==================
+// operation: add (add magnet, wait for metadata, select files) | poll (wait until downloaded)
+export const debridDuration = new Histogram(
+    'debrid_operation_duration_seconds', 'Time spent adding and polling torrents on the debrid provider.',
+    ['provider', 'operation', 'outcome']);
+// source: resolved_url | job | memory | db | fresh
+export const resolveSources = new Counter(
+    'resolve_source_total', 'Where a clicked stream got its torrent info or URL from.', ['provider', 'source']);
+// status: HTTP status of the failed provider call, or "none" for network and API-level errors
+export const debridErrors = new Counter(
+    'debrid_errors_total', 'Failed debrid provider calls.', ['provider', 'method', 'status']);
+
+// ================== Cache maintenance ==================
+// reason: expired (unused for TORRENT_CACHE_MAX_AGE_DAYS) | dead (gone from the provider, found by GC or on click)
+//         | expired_link (the provider rejected a cached torrent's link on click)
+export const cacheEvictions = new Counter(
+    'cache_evictions_total', 'Torrent and debrid cache rows removed.', ['table', 'reason']);
+
+/**
+ * Renders every registered metric plus process basics.
+ * @returns {string} Prometheus text exposition.
+ */
+export function renderMetrics() {
+    const { rss, heapUsed } = process.memoryUsage();
+    const processLines = [
+        `# TYPE ${PREFIX}process_resident_memory_bytes gauge`,
+        `${PREFIX}process_resident_memory_bytes ${rss}`,
+        `# TYPE ${PREFIX}process_heap_used_bytes gauge`,
+        `${PREFIX}process_heap_used_bytes ${heapUsed}`,
+        `# TYPE ${PREFIX}process_uptime_seconds gauge`,
+        `${PREFIX}process_uptime_seconds ${process.uptime()}`,
+    ];
+    return [...registry.map(metric => metric.render()), ...processLines].join('\n') + '\n';
+}
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
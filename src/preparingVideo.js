@@ -0,0 +1,319 @@
+// File: src/preparingVideo.js
+// Version: 1.0 – Placeholder clip rendered in memory with the debrid progress drawn on it
+
+/**
+ * The "preparing" placeholder is an MP4 built in memory, so the addon ships no
+ * video asset and needs no ffmpeg. The clip is one still H.264 frame stored as
+ * raw pixels (I_PCM macroblocks), followed by frames that repeat it (every
+ * macroblock skipped), which keeps it small and decodable by any player.
+ * Text is drawn with a 5×7 pixel font, scaled up.
+ */
+
+const WIDTH = 320;
+const HEIGHT = 180;
+const MB_COLS = WIDTH / 16;
+const MB_ROWS = Math.ceil(HEIGHT / 16);
+const CODED_HEIGHT = MB_ROWS * 16;
+const FPS = 10;
+const CLIP_SECONDS = 15;
+const TIMESCALE = 1000;
+
+// Luma levels; chroma stays neutral, so the clip is grey scale
+const BACKGROUND = 24;
+const FOREGROUND = 235;
+const DIM = 110;
+
+// Rows of each glyph, top to bottom, 5 bits wide (bit 4 is the left column)
+const FONT = {
+    A: [0x0e, 0x11, 0x11, 0x1f, 0x11, 0x11, 0x11], B: [0x1e, 0x11, 0x11, 0x1e, 0x11, 0x11, 0x1e],
+    C: [0x0e, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0e], D: [0x1e, 0x11, 0x11, 0x11, 0x11, 0x11, 0x1e],
+    E: [0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x1f], F: [0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x10],
+    G: [0x0e, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0f], H: [0x11, 0x11, 0x11, 0x1f, 0x11, 0x11, 0x11],
+    I: [0x0e, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0e], J: [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0c],
+    K: [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11], L: [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1f],
+    M: [0x11, 0x1b, 0x15, 0x15, 0x11, 0x11, 0x11], N: [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+    O: [0x0e, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e], P: [0x1e, 0x11, 0x11, 0x1e, 0x10, 0x10, 0x10],
+    Q: [0x0e, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0d], R: [0x1e, 0x11, 0x11, 0x1e, 0x14, 0x12, 0x11],
+    S: [0x0f, 0x10, 0x10, 0x0e, 0x01, 0x01, 0x1e], T: [0x1f, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+    U: [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e], V: [0x11, 0x11, 0x11, 0x11, 0x11, 0x0a, 0x04],
+    W: [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0a], X: [0x11, 0x11, 0x0a, 0x04, 0x0a, 0x11, 0x11],
+    Y: [0x11, 0x11, 0x0a, 0x04, 0x04, 0x04, 0x04], Z: [0x1f, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1f],
+    0: [0x0e, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0e], 1: [0x04, 0x0c, 0x04, 0x04, 0x04, 0x04, 0x0e],
+    2: [0x0e, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1f], 3: [0x1f, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0e],
+    4: [0x02, 0x06, 0x0a, 0x12, 0x1f, 0x02, 0x02], 5: [0x1f, 0x10, 0x1e, 0x01, 0x01, 0x11, 0x0e],
+    6: [0x06, 0x08, 0x10, 0x1e, 0x11, 0x11, 0x0e], 7: [0x1f, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+    8: [0x0e, 0x11, 0x11, 0x0e, 0x11, 0x11, 0x0e], 9: [0x0e, 0x11, 0x11, 0x0f, 0x01, 0x02, 0x0c],
+    '%': [0x18, 0x19, 0x02, 0x04, 0x08, 0x13, 0x03], '.': [0x00, 0x00, 0x00, 0x00, 0x00, 0x0c, 0x0c],
+    '-': [0x00, 0x00, 0x00, 0x1f, 0x00, 0x00, 0x00],
+};
+
+// ── Drawing ───────────────────────────────────────────────
+function fillRect(luma, x, y, w, h, value) {
+    for (let row = y; row < y + h; row++) luma.fill(value, row * WIDTH + x, row * WIDTH + x + w);
+}
+
+// Centered horizontally; characters missing from FONT are left blank
+function drawText(luma, text, y, scale, value = FOREGROUND) {
+    const chars = [...text.toUpperCase()];
+    const width = (chars.length * 6 - 1) * scale;
+    let x = Math.floor((WIDTH - width) / 2);
+    for (const char of chars) {
+        (FONT[char] || []).forEach((bits, row) => {
+            for (let col = 0; col < 5; col++) {
+                if (bits & (0x10 >> col)) fillRect(luma, x + col * scale, y + row * scale, scale, scale, value);
+            }
+        });
+        x += 6 * scale;
+    }
+}
+
+function drawFrame(progress) {
+    const luma = new Uint8Array(WIDTH * CODED_HEIGHT).fill(BACKGROUND);
+    if (progress === null) {
+        drawText(luma, 'Preparing on debrid', 62, 2);
+    } else {
+        drawText(luma, 'Downloading on debrid', 30, 2);
+        drawText(luma, `${progress}%`, 58, 5);
+        const barWidth = 240;
+        const barX = (WIDTH - barWidth) / 2;
+        fillRect(luma, barX, 108, barWidth, 12, DIM);
+        fillRect(luma, barX + 2, 110, barWidth - 4, 8, BACKGROUND);
+        fillRect(luma, barX + 2, 110, Math.round((barWidth - 4) * progress / 100), 8, FOREGROUND);
+    }
+    drawText(luma, 'Play this stream again in a minute', 150, 1, DIM);
+    return luma;
+}
+
+// ── H.264 (Constrained Baseline) ──────────────────────────
+class BitWriter {
+    constructor() {
+        this.bytes = [];
+        this.current = 0;
+        this.bitCount = 0;
+    }
+
+    u(bits, value) {
+        for (let i = bits - 1; i >= 0; i--) {
+            this.current = (this.current << 1) | ((value >>> i) & 1);
+            if (++this.bitCount === 8) {
+                this.bytes.push(this.current);
+                this.current = 0;
+                this.bitCount = 0;
+            }
+        }
+    }
+
+    // Exp-Golomb codes
+    ue(value) {
+        const length = 32 - Math.clz32(value + 1);
+        this.u(length - 1, 0);
+        this.u(length, value + 1);
+    }
+
+    se(value) {
+        this.ue(value <= 0 ? -2 * value : 2 * value - 1);
+    }
+
+    alignZero() {
+        while (this.bitCount) this.u(1, 0);
+    }
+
+    trailingBits() {
+        this.u(1, 1);
+        this.alignZero();
+    }
+}
+
+// NAL unit with emulation prevention bytes (no start code: MP4 uses length prefixes)
+function nalUnit(type, refIdc, rbsp) {
+    const out = [(refIdc << 5) | type];
+    let zeros = 0;
+    for (const byte of rbsp) {
+        if (zeros >= 2 && byte <= 3) {
+            out.push(3);
+            zeros = 0;
+        }
+        out.push(byte);
+        zeros = byte === 0 ? zeros + 1 : 0;
+    }
+    return Buffer.from(out);
+}
+
+function sequenceParameterSet() {
+    const w = new BitWriter();
+    w.u(8, 66);                 // profile_idc: Baseline
+    w.u(8, 0xc0);               // constraint_set0/1: Constrained Baseline
+    w.u(8, 30);                 // level_idc 3.0
+    w.ue(0);                    // seq_parameter_set_id
+    w.ue(0);                    // log2_max_frame_num_minus4: 4-bit frame_num
+    w.ue(2);                    // pic_order_cnt_type 2: output order is decoding order
+    w.ue(1);                    // max_num_ref_frames
+    w.u(1, 0);                  // gaps_in_frame_num_value_allowed_flag
+    w.ue(MB_COLS - 1);
+    w.ue(MB_ROWS - 1);
+    w.u(1, 1);                  // frame_mbs_only_flag
+    w.u(1, 1);                  // direct_8x8_inference_flag
+    w.u(1, 1);                  // frame_cropping_flag: coded height is a multiple of 16
+    w.ue(0);
+    w.ue(0);
+    w.ue(0);
+    w.ue((CODED_HEIGHT - HEIGHT) / 2);
+    w.u(1, 0);                  // vui_parameters_present_flag
+    w.trailingBits();
+    return nalUnit(7, 3, w.bytes);
+}
+
+function pictureParameterSet() {
+    const w = new BitWriter();
+    w.ue(0);                    // pic_parameter_set_id
+    w.ue(0);                    // seq_parameter_set_id
+    w.u(1, 0);                  // entropy_coding_mode_flag: CAVLC
+    w.u(1, 0);                  // bottom_field_pic_order_in_frame_present_flag
+    w.ue(0);                    // num_slice_groups_minus1
+    w.ue(0);                    // num_ref_idx_l0_default_active_minus1
+    w.ue(0);                    // num_ref_idx_l1_default_active_minus1
+    w.u(1, 0);                  // weighted_pred_flag
+    w.u(2, 0);                  // weighted_bipred_idc
+    w.se(0);                    // pic_init_qp_minus26
+    w.se(0);                    // pic_init_qs_minus26
+    w.se(0);                    // chroma_qp_index_offset
+    w.u(1, 1);                  // deblocking_filter_control_present_flag
+    w.u(1, 0);                  // constrained_intra_pred_flag
+    w.u(1, 0);                  // redundant_pic_cnt_present_flag
+    w.trailingBits();
+    return nalUnit(8, 3, w.bytes);
+}
+
+// The still frame: every macroblock is I_PCM, i.e. its raw samples
+function idrSlice(luma) {
+    const w = new BitWriter();
+    w.ue(0);                    // first_mb_in_slice
+    w.ue(7);                    // slice_type: I
+    w.ue(0);                    // pic_parameter_set_id
+    w.u(4, 0);                  // frame_num
+    w.ue(0);                    // idr_pic_id
+    w.u(1, 0);                  // no_output_of_prior_pics_flag
+    w.u(1, 0);                  // long_term_reference_flag
+    w.se(0);                    // slice_qp_delta
+    w.ue(1);                    // disable_deblocking_filter_idc
+    for (let mbY = 0; mbY < MB_ROWS; mbY++) {
+        for (let mbX = 0; mbX < MB_COLS; mbX++) {
+            w.ue(25);           // mb_type: I_PCM
+            w.alignZero();
+            for (let y = 0; y < 16; y++) {
+                for (let x = 0; x < 16; x++) w.u(8, Math.max(1, luma[(mbY * 16 + y) * WIDTH + mbX * 16 + x]));
+            }
+            for (let i = 0; i < 128; i++) w.u(8, 128);  // Cb and Cr, 8×8 each
+        }
+    }
+    w.trailingBits();
+    return nalUnit(5, 3, w.bytes);
+}
+
+// A frame repeating the previous one: one run of skipped macroblocks
+function skipSlice(frameNum) {
+    const w = new BitWriter();
+    w.ue(0);                    // first_mb_in_slice
+    w.ue(5);                    // slice_type: P
+    w.ue(0);                    // pic_parameter_set_id
+    w.u(4, frameNum & 0xf);     // frame_num
+    w.u(1, 0);                  // num_ref_idx_active_override_flag
+    w.u(1, 0);                  // ref_pic_list_modification_flag_l0
+    w.u(1, 0);                  // adaptive_ref_pic_marking_mode_flag
+    w.se(0);                    // slice_qp_delta
+    w.ue(1);                    // disable_deblocking_filter_idc
+    w.ue(MB_COLS * MB_ROWS);    // mb_skip_run
+    w.trailingBits();
+    return nalUnit(1, 2, w.bytes);
+}
+
+// ── MP4 ───────────────────────────────────────────────────
+const u32 = (...values) => {
+    const buf = Buffer.alloc(values.length * 4);
+    values.forEach((v, i) => buf.writeUInt32BE(v >>> 0, i * 4));
+    return buf;
+};
+const u16 = (...values) => {
+    const buf = Buffer.alloc(values.length * 2);
+    values.forEach((v, i) => buf.writeUInt16BE(v, i * 2));
+    return buf;
+};
+const MATRIX = u32(0x10000, 0, 0, 0, 0x10000, 0, 0, 0, 0x40000000);
+
+function box(type, ...payloads) {
+    const body = Buffer.concat(payloads.map(p => (Buffer.isBuffer(p) ? p : Buffer.from(p, 'latin1'))));
+    return Buffer.concat([u32(body.length + 8), Buffer.from(type, 'latin1'), body]);
+}
+
+function fullBox(type, version, flags, ...payloads) {
+    return box(type, u32((version << 24) | flags), ...payloads);
+}
+
+function sampleEntry(sps, pps) {
+    const avcC = box('avcC',
+        Buffer.from([1, sps[1], sps[2], sps[3], 0xff, 0xe1]), u16(sps.length), sps,
+        Buffer.from([1]), u16(pps.length), pps);
+    return box('avc1',
+        Buffer.alloc(6), u16(1),                      // reserved, data_reference_index
+        Buffer.alloc(16),                             // pre_defined and reserved
+        u16(WIDTH, HEIGHT), u32(0x480000, 0x480000),  // size, 72 dpi
+        u32(0), u16(1), Buffer.alloc(32),             // reserved, frame_count, compressorname
+        u16(0x18, 0xffff), avcC);                     // depth, pre_defined
+}
+
+function movieBox(sps, pps, sampleSizes, dataOffset) {
+    const frameDelta = TIMESCALE / FPS;
+    const duration = sampleSizes.length * frameDelta;
+    const stbl = box('stbl',
+        fullBox('stsd', 0, 0, u32(1), sampleEntry(sps, pps)),
+        fullBox('stts', 0, 0, u32(1, sampleSizes.length, frameDelta)),
+        fullBox('stss', 0, 0, u32(1, 1)),
+        fullBox('stsc', 0, 0, u32(1, 1, sampleSizes.length, 1)),
+        fullBox('stsz', 0, 0, u32(0, sampleSizes.length, ...sampleSizes)),
+        fullBox('stco', 0, 0, u32(1, dataOffset)));
+    const minf = box('minf',
+        fullBox('vmhd', 0, 1, u16(0, 0, 0, 0)),
+        box('dinf', fullBox('dref', 0, 0, u32(1), fullBox('url ', 0, 1))),
+        stbl);
+    const mdia = box('mdia',
+        fullBox('mdhd', 0, 0, u32(0, 0, TIMESCALE, duration), u16(0x55c4, 0)),  // language 'und'
+        fullBox('hdlr', 0, 0, u32(0), 'vide', u32(0, 0, 0), 'VideoHandler\0'),
+        minf);
+    const trak = box('trak',
+        fullBox('tkhd', 0, 3, u32(0, 0, 1, 0, duration, 0, 0), u16(0, 0, 0, 0), MATRIX, u32(WIDTH << 16, HEIGHT << 16)),
+        mdia);
+    return box('moov',
+        fullBox('mvhd', 0, 0, u32(0, 0, TIMESCALE, duration, 0x10000), u16(0x100, 0), u32(0, 0), MATRIX, u32(0, 0, 0, 0, 0, 0, 2)),
+        trak);
+}
+
+function encodeClip(luma) {
+    const sps = sequenceParameterSet();
+    const pps = pictureParameterSet();
+    const frames = [idrSlice(luma)];
+    for (let i = 1; i < FPS * CLIP_SECONDS; i++) frames.push(skipSlice(i));
+    const samples = frames.map(nal => Buffer.concat([u32(nal.length), nal]));
+    const sampleSizes = samples.map(s => s.length);
+
+    const ftyp = box('ftyp', 'isom', u32(0x200), 'isomiso2avc1mp41');
+    // moov goes first so players can start before the whole file arrives; its size
+    // does not depend on the offset it records
+    const moovSize = movieBox(sps, pps, sampleSizes, 0).length;
+    const moov = movieBox(sps, pps, sampleSizes, ftyp.length + moovSize + 8);
+    return Buffer.concat([ftyp, moov, box('mdat', ...samples)]);
+}
+
+// One clip per progress value (at most 102), built on first use
+const clips = new Map();
+
+/**
+ * MP4 placeholder telling the user the torrent is downloading on the debrid service.
+ * @param {number|null} progress - Download progress in percent, or null while the
+ *   job has not started downloading.
+ * @returns {Buffer}
+ */
+export function renderPreparingClip(progress) {
+    const key = progress === null ? null : Math.min(100, Math.max(0, Math.round(progress) || 0));
+    if (!clips.has(key)) clips.set(key, encodeClip(drawFrame(key)));
+    return clips.get(key);
+}
@@ -0,0 +1,88 @@
+// File: src/storage/contract.js
+// Version: 1.1 – Cache maintenance: touch, GC candidates, eviction and expiry
+
+/**
+ * Every query the addon runs goes through a storage backend built with
+ * defineStorage(); callers never write SQL themselves. Backends hold the
+ * dialect differences (upserts, JSON columns, timestamps, "= ANY" lists) and
+ * return the same row shapes: JSON columns decoded, ids and counts as numbers.
+ *
+ * Members:
+ *   dialect                 'postgres' | 'sqlite' – picks db/migrations or db/migrations/sqlite
+ *   ping()                  cheap round trip for /ready
+ *   onError(listener)       connection lost outside a query (no-op where it can't happen)
+ *   withMigrationLock(fn)   fn(client) with { query(sql, params), exec(sql) }, one
+ *                           migrator at a time across every process sharing the database
+ *   close()
+ *
+ *   Torrents (one row per infohash, title, content type and provider key):
+ *     findTorrentInfo({ infoHash, imdbId, type, provider })  → torrent_info_json | null
+ *     findTorrentsForTitle(imdbId, type, providerKeys)       → rows
+ *     saveTorrent({ infoHash, imdbId, type, provider, torrentInfo, language, quality, seeders })
+ *     findDownloadedHashes(provider, hashes)                 → Set of lowercase hashes
+ *     touchTorrent({ infoHash, imdbId, type, provider })     bumps last_used_at on a cache hit
+ *
+ *   Debrid cache (DEBRID_CACHE_TABLE, one row per provider and hash):
+ *     getCacheEntry(provider, hash), getCacheEntryByProviderId(provider, providerTorrentId)
+ *     setCacheEntry(provider, hash, { provider_torrent_id, status, extra })
+ *     updateCacheEntry(provider, hash, { provider_torrent_id?, status?, extra? })
+ *     deleteCacheEntry(provider, hash)
+ *
+ *   Resolve jobs and resolved URLs (src/debrid/resolveJobs.js holds the TTLs and owner):
+ *     getJob(lockKey), claimJob(lockKey, owner, ttlMs) → boolean,
+ *     completeJob(lockKey, owner, torrentInfo, ttlMs), failJob(lockKey, owner, message, ttlMs),
+ *     setJobProgress(lockKey, owner, progress), getProcessingProgress(lockKeys) → rows,
+ *     releaseJob(lockKey, owner), getResolvedUrl(lockKey, streamId) → url | null,
+ *     saveResolvedUrl(lockKey, streamId, url, ttlMs), deleteResolvedUrls(lockKey)
+ *
+ *   Cache maintenance (src/debrid/staleTorrents.js):
+ *     findGcCandidates(provider, limit)  → [{ hash, provider_torrent_id, used_at }] from torrents
+ *                                          and the debrid cache, least recently used first
+ *     evictHash(provider, hash)          → { torrents, debridCache }; also drops the hash's
+ *                                          resolved URLs and COMPLETED job
+ *     deleteExpired(maxAgeMs)            → { torrents, debridCache, jobs, resolvedUrls }; torrents
+ *                                          and cache rows unused for maxAgeMs, expired jobs and URLs
+ *
+ *   Admin dashboard:
+ *     getSummary(), listTorrents({ title, provider, limit, offset }), getTorrentById(id),
+ *     updateTorrentInfo(id, torrentInfo), deleteTorrentById(id),
+ *     listCacheEntries({ provider, status, limit, offset }), deleteCacheEntryById(id) → boolean,
+ *     listJobs()
+ */
+
+export const REQUIRED_METHODS = [
+    'ping', 'onError', 'withMigrationLock', 'close',
+    'findTorrentInfo', 'findTorrentsForTitle', 'saveTorrent', 'findDownloadedHashes', 'touchTorrent',
+    'findGcCandidates', 'evictHash', 'deleteExpired',
+    'getCacheEntry', 'getCacheEntryByProviderId', 'setCacheEntry', 'updateCacheEntry', 'deleteCacheEntry',
+    'getJob', 'claimJob', 'completeJob', 'failJob', 'setJobProgress', 'getProcessingProgress',
+    'releaseJob', 'getResolvedUrl', 'saveResolvedUrl', 'deleteResolvedUrls',
+    'getSummary', 'listTorrents', 'getTorrentById', 'updateTorrentInfo', 'deleteTorrentById',
+    'listCacheEntries', 'deleteCacheEntryById', 'listJobs',
+];
+
+export const DIALECTS = ['postgres', 'sqlite'];
+
+export class StorageContractError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StorageContractError';
+    }
+}
+
+/**
+ * Validates a storage backend against the contract.
+ * @param {object} storage - Backend implementation.
+ * @returns {object} The same backend, frozen.
+ * @throws {StorageContractError} If the dialect is unknown or methods are missing.
+ */
+export function defineStorage(storage) {
+    if (!DIALECTS.includes(storage.dialect)) {
+        throw new StorageContractError(`Unknown storage dialect '${storage.dialect}'.`);
+    }
+    const missing = REQUIRED_METHODS.filter(method => typeof storage[method] !== 'function');
+    if (missing.length) {
+        throw new StorageContractError(`Storage backend '${storage.dialect}' is missing: ${missing.join(', ')}.`);
+    }
+    return Object.freeze(storage);
+}
@@ -0,0 +1,27 @@
+// File: src/storage/index.js
+// Version: 1.1 – Backend options (cache table) passed through
+
+import { createPostgresStorage } from './postgres.js';
+import { createSqliteStorage } from './sqlite.js';
+
+/**
+ * Parses the SQLite file out of `sqlite:<path>`, `sqlite://<path>` or `sqlite::memory:`.
+ * @param {string} url
+ * @returns {string|null} File path, or null if the URL is not a SQLite one.
+ */
+export function parseSqliteUrl(url) {
+    const match = /^sqlite:(?:\/\/)?(.+)$/i.exec(url || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Picks the backend from DATABASE_URL: `sqlite:` paths use SQLite, anything
+ * else is handed to pg.
+ * @param {string} databaseUrl
+ * @param {object} [options] - Backend options, e.g. { cacheTable }.
+ * @returns {object} Storage backend (see contract.js).
+ */
+export function createStorage(databaseUrl, options) {
+    const filename = parseSqliteUrl(databaseUrl);
+    return filename ? createSqliteStorage(filename, options) : createPostgresStorage(databaseUrl, options);
+}
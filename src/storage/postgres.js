@@ -0,0 +1,365 @@
+// File: src/storage/postgres.js
+// Version: 1.2 – Debrid cache table passed in, so the migration CLI needs no app config
+
+import pg from 'pg';
+import { defineStorage } from './contract.js';
+
+// Arbitrary constant shared by every replica of this addon
+const MIGRATION_LOCK_ID = 727105;
+
+function interval(ms) {
+    return `${Math.round(ms)} milliseconds`;
+}
+
+/**
+ * @param {string} connectionString - postgres:// URL.
+ * @param {object} [options]
+ * @param {string} [options.cacheTable='debrid_cache'] - DEBRID_CACHE_TABLE.
+ * @returns {object} Storage backend (see contract.js).
+ */
+export function createPostgresStorage(connectionString, { cacheTable = 'debrid_cache' } = {}) {
+    const table = cacheTable;
+    const pool = new pg.Pool({
+        connectionString,
+        // Fail fast while Postgres is down instead of queueing requests behind a dead connect
+        connectionTimeoutMillis: 5000,
+    });
+
+    const query = (sql, params) => pool.query(sql, params);
+
+    return defineStorage({
+        dialect: 'postgres',
+
+        async ping() {
+            await query('SELECT 1');
+        },
+
+        // An idle client lost its connection (e.g. Postgres restarted)
+        onError(listener) {
+            pool.on('error', listener);
+        },
+
+        // A session advisory lock keeps replicas that boot together from migrating twice
+        async withMigrationLock(fn) {
+            const client = await pool.connect();
+            try {
+                await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+                try {
+                    return await fn({
+                        query: (sql, params) => client.query(sql, params),
+                        exec: (sql) => client.query(sql),
+                    });
+                } finally {
+                    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+                }
+            } finally {
+                client.release();
+            }
+        },
+
+        close() {
+            return pool.end();
+        },
+
+        // ── Torrents ──────────────────────────────────────────────
+        async findTorrentInfo({ infoHash, imdbId, type, provider }) {
+            const { rows } = await query(
+                'SELECT torrent_info_json FROM torrents WHERE infohash = $1 AND tmdb_id = $2 AND content_type = $3 AND provider = $4',
+                [infoHash, imdbId, type, provider]
+            );
+            return rows[0]?.torrent_info_json ?? null;
+        },
+
+        async findTorrentsForTitle(imdbId, type, providerKeys) {
+            const { rows } = await query(
+                'SELECT * FROM torrents WHERE tmdb_id = $1 AND content_type = $2 AND torrent_info_json IS NOT NULL AND provider = ANY($3)',
+                [imdbId, type, providerKeys]
+            );
+            return rows;
+        },
+
+        async saveTorrent({ infoHash, imdbId, type, provider, torrentInfo, language, quality, seeders }) {
+            await query(
+                `INSERT INTO torrents (infohash, tmdb_id, content_type, provider, torrent_info_json, language, quality, seeders)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                 ON CONFLICT (infohash, tmdb_id, content_type, provider)
+                 DO UPDATE SET torrent_info_json = EXCLUDED.torrent_info_json, last_used_at = CURRENT_TIMESTAMP`,
+                [infoHash, imdbId, type, provider, torrentInfo, language, quality, seeders]
+            );
+        },
+
+        // debrid_cache rows marked 'downloaded' plus torrents rows (only written once a torrent is ready)
+        async findDownloadedHashes(provider, hashes) {
+            const { rows } = await query(
+                `SELECT lower(hash) AS hash FROM ${table}
+                   WHERE provider = $1 AND status = 'downloaded' AND lower(hash) = ANY($2)
+                 UNION
+                 SELECT lower(infohash) AS hash FROM torrents
+                   WHERE provider = $1 AND lower(infohash) = ANY($2)`,
+                [provider, hashes.map(h => h.toLowerCase())]
+            );
+            return new Set(rows.map(r => r.hash));
+        },
+
+        async touchTorrent({ infoHash, imdbId, type, provider }) {
+            await query(
+                'UPDATE torrents SET last_used_at = CURRENT_TIMESTAMP WHERE infohash = $1 AND tmdb_id = $2 AND content_type = $3 AND provider = $4',
+                [infoHash, imdbId, type, provider]
+            );
+        },
+
+        // ── Debrid cache ──────────────────────────────────────────
+        async getCacheEntry(provider, hash) {
+            const { rows } = await query(`SELECT * FROM ${table} WHERE provider = $1 AND hash = $2`, [provider, hash]);
+            return rows[0] || null;
+        },
+
+        async getCacheEntryByProviderId(provider, providerTorrentId) {
+            const { rows } = await query(
+                `SELECT * FROM ${table} WHERE provider = $1 AND provider_torrent_id = $2`,
+                [provider, providerTorrentId]
+            );
+            return rows[0] || null;
+        },
+
+        async setCacheEntry(provider, hash, { provider_torrent_id, status, extra }) {
+            await query(
+                `INSERT INTO ${table} (provider, hash, provider_torrent_id, status, data)
+                 VALUES ($1, $2, $3, $4, $5)
+                 ON CONFLICT (provider, hash)
+                 DO UPDATE SET
+                   provider_torrent_id = EXCLUDED.provider_torrent_id,
+                   status = EXCLUDED.status,
+                   data = EXCLUDED.data,
+                   updated_at = NOW()`,
+                [provider, hash, provider_torrent_id, status, JSON.stringify(extra || {})]
+            );
+        },
+
+        async updateCacheEntry(provider, hash, updates) {
+            const sets = [];
+            const values = [provider, hash];
+            if (updates.provider_torrent_id !== undefined) {
+                sets.push(`provider_torrent_id = $${values.push(updates.provider_torrent_id)}`);
+            }
+            if (updates.status !== undefined) {
+                sets.push(`status = $${values.push(updates.status)}`);
+            }
+            if (updates.extra !== undefined) {
+                sets.push(`data = $${values.push(JSON.stringify(updates.extra))}`);
+            }
+            sets.push('updated_at = NOW()');
+            await query(`UPDATE ${table} SET ${sets.join(', ')} WHERE provider = $1 AND hash = $2`, values);
+        },
+
+        async deleteCacheEntry(provider, hash) {
+            await query(`DELETE FROM ${table} WHERE provider = $1 AND hash = $2`, [provider, hash]);
+        },
+
+        // ── Resolve jobs ──────────────────────────────────────────
+        async getJob(lockKey) {
+            const { rows } = await query('SELECT * FROM resolve_jobs WHERE lock_key = $1 AND expires_at > NOW()', [lockKey]);
+            return rows[0] || null;
+        },
+
+        // The row lock taken by the upsert makes the claim atomic across replicas
+        async claimJob(lockKey, owner, ttlMs) {
+            const { rowCount } = await query(
+                `INSERT INTO resolve_jobs (lock_key, state, owner, expires_at, updated_at)
+                 VALUES ($1, 'PROCESSING', $2, NOW() + $3::interval, NOW())
+                 ON CONFLICT (lock_key) DO UPDATE SET
+                   state = 'PROCESSING',
+                   owner = EXCLUDED.owner,
+                   torrent_info_json = NULL,
+                   progress = 0,
+                   error = NULL,
+                   expires_at = EXCLUDED.expires_at,
+                   updated_at = NOW()
+                 WHERE resolve_jobs.expires_at <= NOW()`,
+                [lockKey, owner, interval(ttlMs)]
+            );
+            return rowCount === 1;
+        },
+
+        async completeJob(lockKey, owner, torrentInfo, ttlMs) {
+            await query(
+                `UPDATE resolve_jobs SET state = 'COMPLETED', torrent_info_json = $2,
+                   error = NULL, expires_at = NOW() + $3::interval, updated_at = NOW()
+                 WHERE lock_key = $1 AND owner = $4`,
+                [lockKey, torrentInfo, interval(ttlMs), owner]
+            );
+        },
+
+        async failJob(lockKey, owner, message, ttlMs) {
+            await query(
+                `UPDATE resolve_jobs SET state = 'FAILED', error = $2, expires_at = NOW() + $3::interval, updated_at = NOW()
+                 WHERE lock_key = $1 AND owner = $4`,
+                [lockKey, message, interval(ttlMs), owner]
+            );
+        },
+
+        async setJobProgress(lockKey, owner, progress) {
+            await query(
+                "UPDATE resolve_jobs SET progress = $2, updated_at = NOW() WHERE lock_key = $1 AND owner = $3 AND state = 'PROCESSING'",
+                [lockKey, progress, owner]
+            );
+        },
+
+        async getProcessingProgress(lockKeys) {
+            const { rows } = await query(
+                "SELECT lock_key, progress FROM resolve_jobs WHERE lock_key = ANY($1) AND state = 'PROCESSING' AND expires_at > NOW()",
+                [lockKeys]
+            );
+            return rows;
+        },
+
+        async releaseJob(lockKey, owner) {
+            await query('DELETE FROM resolve_jobs WHERE lock_key = $1 AND owner = $2', [lockKey, owner]);
+        },
+
+        async getResolvedUrl(lockKey, streamId) {
+            const { rows } = await query(
+                'SELECT download_url FROM resolved_urls WHERE lock_key = $1 AND stream_id = $2 AND expires_at > NOW()',
+                [lockKey, streamId]
+            );
+            return rows[0]?.download_url || null;
+        },
+
+        async saveResolvedUrl(lockKey, streamId, downloadUrl, ttlMs) {
+            await query(
+                `INSERT INTO resolved_urls (lock_key, stream_id, download_url, expires_at)
+                 VALUES ($1, $2, $3, NOW() + $4::interval)
+                 ON CONFLICT (lock_key, stream_id)
+                 DO UPDATE SET download_url = EXCLUDED.download_url, expires_at = EXCLUDED.expires_at`,
+                [lockKey, streamId, downloadUrl, interval(ttlMs)]
+            );
+        },
+
+        async deleteResolvedUrls(lockKey) {
+            await query('DELETE FROM resolved_urls WHERE lock_key = $1', [lockKey]);
+        },
+
+        // ── Cache maintenance ─────────────────────────────────────
+        async findGcCandidates(provider, limit) {
+            const { rows } = await query(
+                `SELECT hash, provider_torrent_id, MAX(used_at) AS used_at FROM (
+                   SELECT lower(infohash) AS hash, torrent_info_json->>'id' AS provider_torrent_id, last_used_at AS used_at
+                     FROM torrents WHERE provider = $1 AND torrent_info_json->>'id' IS NOT NULL
+                   UNION ALL
+                   SELECT lower(hash), provider_torrent_id, updated_at
+                     FROM ${table} WHERE provider = $1 AND provider_torrent_id IS NOT NULL
+                 ) candidates
+                 GROUP BY hash, provider_torrent_id
+                 ORDER BY used_at ASC
+                 LIMIT $2`,
+                [provider, limit]
+            );
+            return rows;
+        },
+
+        async evictHash(provider, hash) {
+            const lockKey = `${provider}:${hash}`.toLowerCase();
+            const [torrents, cache] = await Promise.all([
+                query('DELETE FROM torrents WHERE provider = $1 AND lower(infohash) = lower($2)', [provider, hash]),
+                query(`DELETE FROM ${table} WHERE provider = $1 AND lower(hash) = lower($2)`, [provider, hash]),
+                query('DELETE FROM resolved_urls WHERE lower(lock_key) = $1', [lockKey]),
+                query("DELETE FROM resolve_jobs WHERE lower(lock_key) = $1 AND state = 'COMPLETED'", [lockKey]),
+            ]);
+            return { torrents: torrents.rowCount, debridCache: cache.rowCount };
+        },
+
+        async deleteExpired(maxAgeMs) {
+            const [torrents, cache, jobs, urls] = await Promise.all([
+                query('DELETE FROM torrents WHERE last_used_at < NOW() - $1::interval', [interval(maxAgeMs)]),
+                query(`DELETE FROM ${table} WHERE updated_at < NOW() - $1::interval`, [interval(maxAgeMs)]),
+                query('DELETE FROM resolve_jobs WHERE expires_at <= NOW()'),
+                query('DELETE FROM resolved_urls WHERE expires_at <= NOW()'),
+            ]);
+            return { torrents: torrents.rowCount, debridCache: cache.rowCount, jobs: jobs.rowCount, resolvedUrls: urls.rowCount };
+        },
+
+        // ── Admin dashboard ───────────────────────────────────────
+        async getSummary() {
+            const [torrents, cache, jobs] = await Promise.all([
+                query('SELECT provider, COUNT(*)::int AS count, MAX(last_used_at) AS last_used_at FROM torrents GROUP BY provider ORDER BY provider'),
+                query(`SELECT provider, status, COUNT(*)::int AS count FROM ${table} GROUP BY provider, status ORDER BY provider, status`),
+                query('SELECT state, COUNT(*)::int AS count FROM resolve_jobs WHERE expires_at > NOW() GROUP BY state'),
+            ]);
+            return { torrents: torrents.rows, debridCache: cache.rows, jobs: jobs.rows };
+        },
+
+        // title matches the IMDb id or the torrent name
+        async listTorrents({ title, provider, limit, offset }) {
+            const values = [];
+            const where = [];
+            if (title) {
+                values.push(`%${title}%`);
+                where.push(`(tmdb_id ILIKE $${values.length} OR torrent_info_json->>'filename' ILIKE $${values.length})`);
+            }
+            if (provider) {
+                values.push(provider);
+                where.push(`provider = $${values.length}`);
+            }
+            values.push(limit, offset);
+            const { rows } = await query(
+                `SELECT id, infohash, tmdb_id, content_type, provider, language, quality, seeders, added_at, last_used_at,
+                        torrent_info_json->>'filename' AS filename, torrent_info_json->>'id' AS provider_torrent_id
+                 FROM torrents
+                 ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+                 ORDER BY last_used_at DESC
+                 LIMIT $${values.length - 1} OFFSET $${values.length}`,
+                values
+            );
+            return rows;
+        },
+
+        async getTorrentById(id) {
+            const { rows } = await query('SELECT id, infohash, provider, torrent_info_json FROM torrents WHERE id = $1', [id]);
+            return rows[0] || null;
+        },
+
+        async updateTorrentInfo(id, torrentInfo) {
+            await query('UPDATE torrents SET torrent_info_json = $2 WHERE id = $1', [id, torrentInfo]);
+        },
+
+        async deleteTorrentById(id) {
+            await query('DELETE FROM torrents WHERE id = $1', [id]);
+        },
+
+        async listCacheEntries({ provider, status, limit, offset }) {
+            const values = [];
+            const where = [];
+            if (provider) {
+                values.push(provider);
+                where.push(`provider = $${values.length}`);
+            }
+            if (status) {
+                values.push(status);
+                where.push(`status = $${values.length}`);
+            }
+            values.push(limit, offset);
+            const { rows } = await query(
+                `SELECT id, provider, hash, provider_torrent_id, status, created_at, updated_at
+                 FROM ${table}
+                 ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+                 ORDER BY updated_at DESC
+                 LIMIT $${values.length - 1} OFFSET $${values.length}`,
+                values
+            );
+            return rows;
+        },
+
+        async deleteCacheEntryById(id) {
+            const { rowCount } = await query(`DELETE FROM ${table} WHERE id = $1`, [id]);
+            return rowCount > 0;
+        },
+
+        async listJobs() {
+            const { rows } = await query(
+                `SELECT lock_key, state, owner, progress, error, expires_at, updated_at
+                 FROM resolve_jobs WHERE expires_at > NOW() ORDER BY updated_at DESC`
+            );
+            return rows;
+        },
+    });
+}
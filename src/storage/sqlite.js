@@ -0,0 +1,423 @@
+// File: src/storage/sqlite.js
+// Version: 1.3 – Debrid cache table passed in, so the migration CLI needs no app config
+
+import fs from 'fs';
+import path from 'path';
+import { defineStorage } from './contract.js';
+
+/**
+ * Same tables and upserts as the Postgres backend, adapted to SQLite:
+ *   - timestamps are ISO-8601 UTC strings, so they compare and sort as text
+ *   - JSON columns are TEXT, encoded on write and decoded on read
+ *   - "= ANY($n)" becomes "IN (SELECT value FROM json_each($n))"
+ * Queries keep Postgres-style $n placeholders; better-sqlite3 binds them by name.
+ * Column affinity converts bound values the way Postgres casts them (ids, TEXT columns).
+ *
+ * One file has one writer at a time, so this backend is meant for a single
+ * addon instance; the resolve lock still deduplicates requests within it.
+ */
+
+const NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+const JSON_COLUMNS = ['torrent_info_json', 'data'];
+
+// strftime modifier for "now + ms" (negative ms for the past)
+function offset(ms) {
+    const seconds = Math.round(ms) / 1000;
+    return `${seconds < 0 ? '' : '+'}${seconds} seconds`;
+}
+
+function encode(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.toISOString();
+    // better-sqlite3 binds JS numbers as REAL, which TEXT columns would store as '99.0'
+    if (Number.isSafeInteger(value)) return BigInt(value);
+    if (typeof value === 'object' && !Buffer.isBuffer(value)) return JSON.stringify(value);
+    return value;
+}
+
+// better-sqlite3 is an optional dependency (a native build), so Postgres installs never load it
+async function loadDriver() {
+    try {
+        return (await import('better-sqlite3')).default;
+    } catch (err) {
+        throw new Error(`DATABASE_URL points at SQLite, but the optional better-sqlite3 package is not installed (${err.message}).`);
+    }
+}
+
+function decode(row) {
+    for (const column of JSON_COLUMNS) {
+        if (typeof row[column] === 'string') row[column] = JSON.parse(row[column]);
+    }
+    return row;
+}
+
+/**
+ * @param {string} filename - Database file, or ':memory:'. Missing directories are created.
+ * @param {object} [options]
+ * @param {string} [options.cacheTable='debrid_cache'] - DEBRID_CACHE_TABLE.
+ * @returns {object} Storage backend (see contract.js).
+ */
+export function createSqliteStorage(filename, { cacheTable = 'debrid_cache' } = {}) {
+    const table = cacheTable;
+    const statements = new Map();
+    let opening = null;
+
+    async function open() {
+        const Database = await loadDriver();
+        if (filename !== ':memory:') fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+        const db = new Database(filename);
+        db.pragma('journal_mode = WAL');
+        db.pragma('busy_timeout = 5000');
+        return db;
+    }
+
+    // Opened on first use so a bad path or a missing driver surfaces through initDb
+    // (degraded mode) instead of at import
+    function getDb() {
+        if (!opening) {
+            opening = open().catch((err) => {
+                opening = null;
+                throw err;
+            });
+        }
+        return opening;
+    }
+
+    // pg-compatible result: { rows, rowCount }
+    async function query(sql, params = []) {
+        let stmt = statements.get(sql);
+        if (!stmt) {
+            stmt = (await getDb()).prepare(sql);
+            statements.set(sql, stmt);
+        }
+        const bound = Object.fromEntries(params.map((value, i) => [i + 1, encode(value)]));
+        if (stmt.reader) {
+            const rows = stmt.all(bound).map(decode);
+            return { rows, rowCount: rows.length };
+        }
+        return { rows: [], rowCount: stmt.run(bound).changes };
+    }
+
+    return defineStorage({
+        dialect: 'sqlite',
+
+        async ping() {
+            await query('SELECT 1');
+        },
+
+        onError() {},
+
+        // Migrations from a second process wait on SQLite's own write lock (busy_timeout)
+        async withMigrationLock(fn) {
+            return fn({
+                query,
+                exec: async (sql) => { (await getDb()).exec(sql); },
+            });
+        },
+
+        async close() {
+            statements.clear();
+            const db = await opening?.catch(() => null);
+            opening = null;
+            db?.close();
+        },
+
+        // ── Torrents ──────────────────────────────────────────────
+        async findTorrentInfo({ infoHash, imdbId, type, provider }) {
+            const { rows } = await query(
+                'SELECT torrent_info_json FROM torrents WHERE infohash = $1 AND tmdb_id = $2 AND content_type = $3 AND provider = $4',
+                [infoHash, imdbId, type, provider]
+            );
+            return rows[0]?.torrent_info_json ?? null;
+        },
+
+        async findTorrentsForTitle(imdbId, type, providerKeys) {
+            const { rows } = await query(
+                `SELECT * FROM torrents WHERE tmdb_id = $1 AND content_type = $2 AND torrent_info_json IS NOT NULL
+                   AND provider IN (SELECT value FROM json_each($3))`,
+                [imdbId, type, providerKeys]
+            );
+            return rows;
+        },
+
+        async saveTorrent({ infoHash, imdbId, type, provider, torrentInfo, language, quality, seeders }) {
+            await query(
+                `INSERT INTO torrents (infohash, tmdb_id, content_type, provider, torrent_info_json, language, quality, seeders)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                 ON CONFLICT (infohash, tmdb_id, content_type, provider)
+                 DO UPDATE SET torrent_info_json = excluded.torrent_info_json, last_used_at = ${NOW}`,
+                [infoHash, imdbId, type, provider, torrentInfo, language, quality, seeders]
+            );
+        },
+
+        async findDownloadedHashes(provider, hashes) {
+            const { rows } = await query(
+                `SELECT lower(hash) AS hash FROM ${table}
+                   WHERE provider = $1 AND status = 'downloaded' AND lower(hash) IN (SELECT value FROM json_each($2))
+                 UNION
+                 SELECT lower(infohash) AS hash FROM torrents
+                   WHERE provider = $1 AND lower(infohash) IN (SELECT value FROM json_each($2))`,
+                [provider, hashes.map(h => h.toLowerCase())]
+            );
+            return new Set(rows.map(r => r.hash));
+        },
+
+        async touchTorrent({ infoHash, imdbId, type, provider }) {
+            await query(
+                `UPDATE torrents SET last_used_at = ${NOW} WHERE infohash = $1 AND tmdb_id = $2 AND content_type = $3 AND provider = $4`,
+                [infoHash, imdbId, type, provider]
+            );
+        },
+
+        // ── Debrid cache ──────────────────────────────────────────
+        async getCacheEntry(provider, hash) {
+            const { rows } = await query(`SELECT * FROM ${table} WHERE provider = $1 AND hash = $2`, [provider, hash]);
+            return rows[0] || null;
+        },
+
+        async getCacheEntryByProviderId(provider, providerTorrentId) {
+            const { rows } = await query(
+                `SELECT * FROM ${table} WHERE provider = $1 AND provider_torrent_id = $2`,
+                [provider, providerTorrentId]
+            );
+            return rows[0] || null;
+        },
+
+        async setCacheEntry(provider, hash, { provider_torrent_id, status, extra }) {
+            await query(
+                `INSERT INTO ${table} (provider, hash, provider_torrent_id, status, data)
+                 VALUES ($1, $2, $3, $4, $5)
+                 ON CONFLICT (provider, hash)
+                 DO UPDATE SET
+                   provider_torrent_id = excluded.provider_torrent_id,
+                   status = excluded.status,
+                   data = excluded.data,
+                   updated_at = ${NOW}`,
+                [provider, hash, provider_torrent_id, status, extra || {}]
+            );
+        },
+
+        async updateCacheEntry(provider, hash, updates) {
+            const sets = [];
+            const values = [provider, hash];
+            if (updates.provider_torrent_id !== undefined) {
+                sets.push(`provider_torrent_id = $${values.push(updates.provider_torrent_id)}`);
+            }
+            if (updates.status !== undefined) {
+                sets.push(`status = $${values.push(updates.status)}`);
+            }
+            if (updates.extra !== undefined) {
+                sets.push(`data = $${values.push(updates.extra)}`);
+            }
+            sets.push(`updated_at = ${NOW}`);
+            await query(`UPDATE ${table} SET ${sets.join(', ')} WHERE provider = $1 AND hash = $2`, values);
+        },
+
+        async deleteCacheEntry(provider, hash) {
+            await query(`DELETE FROM ${table} WHERE provider = $1 AND hash = $2`, [provider, hash]);
+        },
+
+        // ── Resolve jobs ──────────────────────────────────────────
+        async getJob(lockKey) {
+            const { rows } = await query(`SELECT * FROM resolve_jobs WHERE lock_key = $1 AND expires_at > ${NOW}`, [lockKey]);
+            return rows[0] || null;
+        },
+
+        async claimJob(lockKey, owner, ttlMs) {
+            const { rowCount } = await query(
+                `INSERT INTO resolve_jobs (lock_key, state, owner, expires_at, updated_at)
+                 VALUES ($1, 'PROCESSING', $2, strftime('%Y-%m-%dT%H:%M:%fZ', 'now', $3), ${NOW})
+                 ON CONFLICT (lock_key) DO UPDATE SET
+                   state = 'PROCESSING',
+                   owner = excluded.owner,
+                   torrent_info_json = NULL,
+                   progress = 0,
+                   error = NULL,
+                   expires_at = excluded.expires_at,
+                   updated_at = ${NOW}
+                 WHERE resolve_jobs.expires_at <= ${NOW}`,
+                [lockKey, owner, offset(ttlMs)]
+            );
+            return rowCount === 1;
+        },
+
+        async completeJob(lockKey, owner, torrentInfo, ttlMs) {
+            await query(
+                `UPDATE resolve_jobs SET state = 'COMPLETED', torrent_info_json = $2,
+                   error = NULL, expires_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now', $3), updated_at = ${NOW}
+                 WHERE lock_key = $1 AND owner = $4`,
+                [lockKey, torrentInfo, offset(ttlMs), owner]
+            );
+        },
+
+        async failJob(lockKey, owner, message, ttlMs) {
+            await query(
+                `UPDATE resolve_jobs SET state = 'FAILED', error = $2,
+                   expires_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now', $3), updated_at = ${NOW}
+                 WHERE lock_key = $1 AND owner = $4`,
+                [lockKey, message, offset(ttlMs), owner]
+            );
+        },
+
+        async setJobProgress(lockKey, owner, progress) {
+            await query(
+                `UPDATE resolve_jobs SET progress = $2, updated_at = ${NOW} WHERE lock_key = $1 AND owner = $3 AND state = 'PROCESSING'`,
+                [lockKey, progress, owner]
+            );
+        },
+
+        async getProcessingProgress(lockKeys) {
+            const { rows } = await query(
+                `SELECT lock_key, progress FROM resolve_jobs
+                 WHERE lock_key IN (SELECT value FROM json_each($1)) AND state = 'PROCESSING' AND expires_at > ${NOW}`,
+                [lockKeys]
+            );
+            return rows;
+        },
+
+        async releaseJob(lockKey, owner) {
+            await query('DELETE FROM resolve_jobs WHERE lock_key = $1 AND owner = $2', [lockKey, owner]);
+        },
+
+        async getResolvedUrl(lockKey, streamId) {
+            const { rows } = await query(
+                `SELECT download_url FROM resolved_urls WHERE lock_key = $1 AND stream_id = $2 AND expires_at > ${NOW}`,
+                [lockKey, streamId]
+            );
+            return rows[0]?.download_url || null;
+        },
+
+        async saveResolvedUrl(lockKey, streamId, downloadUrl, ttlMs) {
+            await query(
+                `INSERT INTO resolved_urls (lock_key, stream_id, download_url, expires_at)
+                 VALUES ($1, $2, $3, strftime('%Y-%m-%dT%H:%M:%fZ', 'now', $4))
+                 ON CONFLICT (lock_key, stream_id)
+                 DO UPDATE SET download_url = excluded.download_url, expires_at = excluded.expires_at`,
+                [lockKey, streamId, downloadUrl, offset(ttlMs)]
+            );
+        },
+
+        async deleteResolvedUrls(lockKey) {
+            await query('DELETE FROM resolved_urls WHERE lock_key = $1', [lockKey]);
+        },
+
+        // ── Cache maintenance ─────────────────────────────────────
+        async findGcCandidates(provider, limit) {
+            const { rows } = await query(
+                `SELECT hash, provider_torrent_id, MAX(used_at) AS used_at FROM (
+                   SELECT lower(infohash) AS hash, CAST(torrent_info_json->>'id' AS TEXT) AS provider_torrent_id, last_used_at AS used_at
+                     FROM torrents WHERE provider = $1 AND torrent_info_json->>'id' IS NOT NULL
+                   UNION ALL
+                   SELECT lower(hash), provider_torrent_id, updated_at
+                     FROM ${table} WHERE provider = $1 AND provider_torrent_id IS NOT NULL
+                 )
+                 GROUP BY hash, provider_torrent_id
+                 ORDER BY used_at ASC
+                 LIMIT $2`,
+                [provider, limit]
+            );
+            return rows;
+        },
+
+        async evictHash(provider, hash) {
+            const lockKey = `${provider}:${hash}`.toLowerCase();
+            const torrents = await query('DELETE FROM torrents WHERE provider = $1 AND lower(infohash) = lower($2)', [provider, hash]);
+            const cache = await query(`DELETE FROM ${table} WHERE provider = $1 AND lower(hash) = lower($2)`, [provider, hash]);
+            await query('DELETE FROM resolved_urls WHERE lower(lock_key) = $1', [lockKey]);
+            await query("DELETE FROM resolve_jobs WHERE lower(lock_key) = $1 AND state = 'COMPLETED'", [lockKey]);
+            return { torrents: torrents.rowCount, debridCache: cache.rowCount };
+        },
+
+        async deleteExpired(maxAgeMs) {
+            const cutoff = `strftime('%Y-%m-%dT%H:%M:%fZ', 'now', $1)`;
+            const torrents = await query(`DELETE FROM torrents WHERE last_used_at < ${cutoff}`, [offset(-maxAgeMs)]);
+            const cache = await query(`DELETE FROM ${table} WHERE updated_at < ${cutoff}`, [offset(-maxAgeMs)]);
+            const jobs = await query(`DELETE FROM resolve_jobs WHERE expires_at <= ${NOW}`);
+            const urls = await query(`DELETE FROM resolved_urls WHERE expires_at <= ${NOW}`);
+            return { torrents: torrents.rowCount, debridCache: cache.rowCount, jobs: jobs.rowCount, resolvedUrls: urls.rowCount };
+        },
+
+        // ── Admin dashboard ───────────────────────────────────────
+        async getSummary() {
+            const torrents = await query('SELECT provider, COUNT(*) AS count, MAX(last_used_at) AS last_used_at FROM torrents GROUP BY provider ORDER BY provider');
+            const cache = await query(`SELECT provider, status, COUNT(*) AS count FROM ${table} GROUP BY provider, status ORDER BY provider, status`);
+            const jobs = await query(`SELECT state, COUNT(*) AS count FROM resolve_jobs WHERE expires_at > ${NOW} GROUP BY state`);
+            return { torrents: torrents.rows, debridCache: cache.rows, jobs: jobs.rows };
+        },
+
+        // LIKE is case-insensitive for ASCII in SQLite, matching ILIKE closely enough for a search box
+        async listTorrents({ title, provider, limit, offset: skip }) {
+            const values = [];
+            const where = [];
+            if (title) {
+                values.push(`%${title}%`);
+                where.push(`(tmdb_id LIKE $${values.length} OR torrent_info_json->>'filename' LIKE $${values.length})`);
+            }
+            if (provider) {
+                values.push(provider);
+                where.push(`provider = $${values.length}`);
+            }
+            values.push(limit, skip);
+            const { rows } = await query(
+                `SELECT id, infohash, tmdb_id, content_type, provider, language, quality, seeders, added_at, last_used_at,
+                        torrent_info_json->>'filename' AS filename, CAST(torrent_info_json->>'id' AS TEXT) AS provider_torrent_id
+                 FROM torrents
+                 ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+                 ORDER BY last_used_at DESC
+                 LIMIT $${values.length - 1} OFFSET $${values.length}`,
+                values
+            );
+            return rows;
+        },
+
+        async getTorrentById(id) {
+            const { rows } = await query('SELECT id, infohash, provider, torrent_info_json FROM torrents WHERE id = $1', [id]);
+            return rows[0] || null;
+        },
+
+        async updateTorrentInfo(id, torrentInfo) {
+            await query('UPDATE torrents SET torrent_info_json = $2 WHERE id = $1', [id, torrentInfo]);
+        },
+
+        async deleteTorrentById(id) {
+            await query('DELETE FROM torrents WHERE id = $1', [id]);
+        },
+
+        async listCacheEntries({ provider, status, limit, offset: skip }) {
+            const values = [];
+            const where = [];
+            if (provider) {
+                values.push(provider);
+                where.push(`provider = $${values.length}`);
+            }
+            if (status) {
+                values.push(status);
+                where.push(`status = $${values.length}`);
+            }
+            values.push(limit, skip);
+            const { rows } = await query(
+                `SELECT id, provider, hash, provider_torrent_id, status, created_at, updated_at
+                 FROM ${table}
+                 ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+                 ORDER BY updated_at DESC
+                 LIMIT $${values.length - 1} OFFSET $${values.length}`,
+                values
+            );
+            return rows;
+        },
+
+        async deleteCacheEntryById(id) {
+            const { rowCount } = await query(`DELETE FROM ${table} WHERE id = $1`, [id]);
+            return rowCount > 0;
+        },
+
+        async listJobs() {
+            const { rows } = await query(
+                `SELECT lock_key, state, owner, progress, error, expires_at, updated_at
+                 FROM resolve_jobs WHERE expires_at > ${NOW} ORDER BY updated_at DESC`
+            );
+            return rows;
+        },
+    });
+}
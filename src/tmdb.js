@@ -9,6 +9,8 @@ const tmdb = axios.create({
     },
 });
 
+const ANIMATION_GENRE_ID = 16;
+
 const showCache = new Map();
 const movieCache = new Map();
 
@@ -32,6 +34,27 @@ export async function getShowDetails(imdbId) {
     }
 }
 
+// Episodes per season (specials excluded), for shows TMDB lists as Japanese animation.
+// Other shows return { isAnime: false } without the extra request.
+export async function getAnimeSeasons(imdbId) {
+    const show = await getShowDetails(imdbId);
+    if (!show) return null;
+    const isAnime = (show.genre_ids || []).includes(ANIMATION_GENRE_ID) &&
+        (show.original_language === 'ja' || (show.origin_country || []).includes('JP'));
+    if (!isAnime) return { isAnime: false, seasons: [] };
+    try {
+        const { data } = await tmdb.get(`/tv/${show.id}`);
+        const seasons = (data.seasons || [])
+            .filter(s => s.season_number > 0)
+            .map(s => ({ season: s.season_number, episodes: s.episode_count || 0 }));
+        logger.debug(`[TMDB] "${show.name}" is anime with ${seasons.length} seasons.`);
+        return { isAnime: true, seasons };
+    } catch (error) {
+        logger.error(`[TMDB] Error fetching seasons for ${imdbId}: ${error.message}`);
+        return null;
+    }
+}
+
 // NEW: Function to get movie details
 export async function getMovieDetails(imdbId) {
     if (movieCache.has(imdbId)) {
@@ -0,0 +1,137 @@
+// File: src/userConfig.js
+// Version: 1.6 – servicesWithoutKey for configs that pick a debrid service but give no key
+
+import { PREFERRED_LANGUAGES, STRICT_LANGUAGE_FILTER, STREAM_LIMIT_PER_QUALITY, ACCEPT_UNSEALED_CONFIG } from '../config.js';
+import { isSealingEnabled, isSealedToken, sealConfig, openConfig, ConfigTokenError } from './configToken.js';
+import { SUPPORTED_DEBRID_SERVICES } from './debrid/index.js';
+import { logger } from './utils.js';
+
+/**
+ * User Config Structure (all fields optional, env values are the defaults):
+ * {
+ *   debridService: "realdebrid" | "torbox" | "alldebrid" | "premiumize" | "realdebrid,torbox" | "none",
+ *   realdebridApiKey: "...",
+ *   torboxApiKey: "...",
+ *   alldebridApiKey: "...",
+ *   premiumizeApiKey: "...",
+ *   debridApiKey: "...",            // legacy: key for a single debridService
+ *   preferredLanguages: "en,ta",
+ *   strictLanguageFilter: true,
+ *   streamLimitPerQuality: 2
+ * }
+ */
+
+const USER_CONFIG_KEYS = [
+    'debridService', 'debridApiKey', 'realdebridApiKey', 'torboxApiKey', 'alldebridApiKey', 'premiumizeApiKey',
+    'preferredLanguages', 'strictLanguageFilter', 'streamLimitPerQuality',
+];
+
+/**
+ * Keeps only the known user config fields (e.g. from the /configure form).
+ * @param {object} raw - Untrusted input.
+ * @returns {object} Config with empty values dropped.
+ */
+export function pickUserConfig(raw) {
+    const config = {};
+    for (const key of USER_CONFIG_KEYS) {
+        const value = raw?.[key];
+        if (value !== undefined && value !== null && value !== '') config[key] = value;
+    }
+    return config;
+}
+
+/**
+ * Encodes a user config object into a URL-safe path segment. When CONFIG_SECRET
+ * is set the segment is an encrypted token (see src/configToken.js).
+ * @param {object} config - Raw user config.
+ * @param {object} [options]
+ * @param {number} [options.ttlSeconds] - Expiry for sealed tokens (stream URLs); omit for installs.
+ * @returns {string} URL-safe segment.
+ */
+export function encodeUserConfig(config, { ttlSeconds } = {}) {
+    if (isSealingEnabled) return sealConfig(config, { ttlSeconds });
+    return Buffer.from(JSON.stringify(config), 'utf8').toString('base64url');
+}
+
+/**
+ * Decodes a path segment produced by encodeUserConfig. While sealing is enabled,
+ * plain base64url segments (installs made before it) are only accepted with
+ * ACCEPT_UNSEALED_CONFIG: anyone could forge one without an expiry.
+ * @param {string} segment - Segment from the URL.
+ * @returns {object|null} The config object, or null if it cannot be decoded.
+ * @throws {ConfigTokenError} If a sealed token is tampered with or expired, or the
+ *   segment is unsealed while sealing is required.
+ */
+export function decodeUserConfig(segment) {
+    if (!segment) return null;
+    if (isSealedToken(segment)) return openConfig(segment);
+    if (isSealingEnabled && !ACCEPT_UNSEALED_CONFIG) {
+        throw new ConfigTokenError('Unsealed configuration is no longer accepted.');
+    }
+    try {
+        const config = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+        return config && typeof config === 'object' && !Array.isArray(config) ? config : null;
+    } catch (e) {
+        logger.warn(`[CONFIG] Could not decode user config segment: ${e.message}`);
+        return null;
+    }
+}
+
+/**
+ * Debrid services a config picks without giving an API key for them. Those only
+ * work with ALLOW_SERVER_KEY_FALLBACK, on the server's key.
+ * @param {object} settings - Output of resolveSettings().
+ * @returns {string[]}
+ */
+export function servicesWithoutKey(settings) {
+    return (settings.debridServices || []).filter(service => !settings.debridApiKeys[service]);
+}
+
+function parseLanguages(value) {
+    if (Array.isArray(value)) return value.map(l => String(l).trim()).filter(Boolean);
+    if (typeof value === 'string') return value.split(',').map(l => l.trim()).filter(Boolean);
+    return null;
+}
+
+/**
+ * Merges a decoded user config over the process-wide defaults.
+ * @param {object|null} config - Decoded user config (may be null for unconfigured installs).
+ * @returns {object} Settings applied to a single request.
+ */
+export function resolveSettings(config) {
+    const userConfig = config || {};
+
+    // null = use the server's DEBRID_SERVICE list, [] = P2P only
+    const requested = String(userConfig.debridService || '').toLowerCase();
+    let debridServices = null;
+    if (requested === 'none') {
+        debridServices = [];
+    } else if (requested) {
+        const services = requested.split(',').map(s => s.trim()).filter(s => SUPPORTED_DEBRID_SERVICES.includes(s));
+        debridServices = services.length ? services : null;
+    }
+
+    const debridApiKeys = {};
+    for (const service of SUPPORTED_DEBRID_SERVICES) {
+        const key = String(userConfig[`${service}ApiKey`] || '').trim();
+        if (key) debridApiKeys[service] = key;
+    }
+    // Installs made before per-service keys carry one key for one service
+    const legacyKey = String(userConfig.debridApiKey || '').trim();
+    if (legacyKey && debridServices?.length === 1 && !debridApiKeys[debridServices[0]]) {
+        debridApiKeys[debridServices[0]] = legacyKey;
+    }
+
+    const languages = parseLanguages(userConfig.preferredLanguages);
+    const limit = parseInt(userConfig.streamLimitPerQuality, 10);
+
+    return {
+        debridServices,
+        debridApiKeys,
+        preferredLanguages: languages && languages.length ? languages : PREFERRED_LANGUAGES,
+        strictLanguageFilter: userConfig.strictLanguageFilter === undefined
+            ? STRICT_LANGUAGE_FILTER
+            : userConfig.strictLanguageFilter === true || userConfig.strictLanguageFilter === 'true' || userConfig.strictLanguageFilter === 'on',
+        streamLimitPerQuality: limit > 0 ? limit : STREAM_LIMIT_PER_QUALITY,
+    };
+}
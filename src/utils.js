@@ -1,19 +1,63 @@
 import winston from 'winston';
-import { LOG_LEVEL } from '../config.js';
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+import { LOG_LEVEL, LOG_FORMAT } from '../config.js';
 import PTT from 'parse-torrent-title';
 
+// ================== Request context ==================
+// Fields of the request being handled (requestId, imdbId, season, episode, infoHash, ...).
+// AsyncLocalStorage carries them through every await, so log lines from metadata,
+// Bitmagnet, the matcher and the debrid providers are tied to the request without
+// passing an id around.
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Runs fn with a request context. Nested calls keep the outer requestId and
+ * fields unless `fields` overrides them.
+ * @param {object} fields - Fields added to every log line written inside fn.
+ * @param {Function} fn
+ */
+export function runWithRequestContext(fields, fn) {
+    const parent = requestContext.getStore();
+    const store = { ...parent, requestId: parent?.requestId || randomUUID().slice(0, 8), ...fields };
+    return requestContext.run(store, fn);
+}
+
+/** Adds fields to the current request context (no-op outside one). */
+export function addRequestContext(fields) {
+    const store = requestContext.getStore();
+    if (store) Object.assign(store, fields);
+}
+
+export function getRequestContext() {
+    return requestContext.getStore() || null;
+}
+
+const withRequestContext = winston.format((info) => {
+    const store = requestContext.getStore();
+    if (store) {
+        for (const [key, value] of Object.entries(store)) {
+            if (info[key] === undefined && value !== undefined) info[key] = value;
+        }
+    }
+    return info;
+});
+
+const textFormat = winston.format.combine(
+    winston.format.colorize(),
+    winston.format.printf(info => `${info.timestamp} ${info.level}: ${info.requestId ? `[${info.requestId}] ` : ''}${info.message}`)
+);
+
+// LOG_FORMAT=json writes one JSON object per line with the request context as fields
 export const logger = winston.createLogger({
     level: LOG_LEVEL,
     format: winston.format.combine(
-        winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
-        winston.format.printf(info => `${info.timestamp} ${info.level.toUpperCase()}: ${info.message}`)
+        winston.format.timestamp({ format: LOG_FORMAT === 'json' ? undefined : 'YYYY-MM-DD HH:mm:ss' }),
+        withRequestContext()
     ),
     transports: [
         new winston.transports.Console({
-            format: winston.format.combine(
-                winston.format.colorize(),
-                winston.format.printf(info => `${info.timestamp} ${info.level}: ${info.message}`)
-            ),
+            format: LOG_FORMAT === 'json' ? winston.format.json() : textFormat,
         }),
     ],
 });
@@ -42,6 +86,146 @@ export function sanitizeName(name) {
     return sanitized;
 }
 
+// Fansub releases number long-running anime by absolute episode, with no season:
+// "[Group] Show - 1071 [1080p].mkv", "Show - 13-24 [Batch]", "Show 13~24". The
+// " - NN" form is tried first so numbers in titles ("Mob Psycho 100 - 05") survive.
+const ABSOLUTE_DASH_REGEX = /^(.+?)\s-\s(?:ep?\s?|episodes?\s)?(\d{1,4})(?:v\d)?(?:\s?[-~]\s?(\d{1,4})(?:v\d)?)?(?=\s|$)/i;
+const ABSOLUTE_BARE_REGEX = /^(.+?)\s(?:ep?\s?|episodes?\s)?(\d{1,4})(?:v\d)?(?:\s?[-~]\s?(\d{1,4})(?:v\d)?)?(?=\s|$)/i;
+const SEASON_MARKER_REGEX = /\b(?:s\d{1,2}(?:e\d+)?|season\s?\d{1,2})\b/i;
+
+/**
+ * Parses an absolute episode number or range out of a release or file name. Only
+ * meaningful for shows known to use absolute numbering: "Apollo 13" parses too.
+ * @param {string} title - Torrent name or file path (the folder part is ignored).
+ * @returns {{title: string, from: number, to: number}|null} Null when the name has a
+ *   season marker or no plausible episode number (years are not episodes).
+ */
+export function parseAbsoluteEpisodes(title) {
+    const name = title.split('/').pop();
+    if (SEASON_MARKER_REGEX.test(name)) return null;
+    const base = name
+        .replace(/\.(mkv|mp4|avi|mov|wmv|flv|webm)$/i, '')
+        .replace(/\[[^\]]*\]|\([^)]*\)|【[^】]*】/g, ' ')
+        .replace(/[._]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    const match = ABSOLUTE_DASH_REGEX.exec(base) || ABSOLUTE_BARE_REGEX.exec(base);
+    if (!match) return null;
+    const from = parseInt(match[2], 10);
+    const to = match[3] ? parseInt(match[3], 10) : from;
+    if (from < 1 || to < from || /^(19|20)\d\d$/.test(match[2])) return null;
+    return { title: match[1].replace(/\s-$/, '').trim(), from, to };
+}
+
+// Daily shows (talk shows, news, sports) are released by air date, year first:
+// "Show 2026.10.18", "Show.2026-10-18.Guest", "Show 2026 10 18".
+const AIR_DATE_REGEX = /(?:^|[^\d])((?:19|20)\d{2})[.\-_ ](\d{2})[.\-_ ](\d{2})(?!\d)/;
+
+/**
+ * Parses the air date out of a daily show's release or file name.
+ * @param {string} title - Torrent name or file path (the folder part is ignored).
+ * @returns {string|null} YYYY-MM-DD, or null when the name has no valid date.
+ */
+export function parseAirDate(title) {
+    const match = AIR_DATE_REGEX.exec(title.split('/').pop());
+    if (!match) return null;
+    const [, year, month, day] = match;
+    const date = new Date(Date.UTC(+year, +month - 1, +day));
+    if (date.getUTCMonth() !== +month - 1 || date.getUTCDate() !== +day) return null;
+    return `${year}-${month}-${day}`;
+}
+
+// Packs spanning several seasons: "S01-S05", "S01-05", "Seasons 1-5", "Season 1 to 3",
+// and complete-series packs without a range ("Complete Series", "All Seasons", or
+// "Complete" with no season number next to it).
+const SEASON_RANGE_REGEXES = [
+    /\bs(\d{1,2})[\s._]*(?:-|–|~|to)[\s._]*s(\d{1,2})\b/i,
+    /\bs(\d{1,2})-(\d{1,2})\b/i,
+    /\bseasons?[\s._-]*(\d{1,2})[\s._]*(?:-|–|~|to)[\s._]*(\d{1,2})\b/i,
+];
+const COMPLETE_SERIES_REGEX = /\b(?:complete|all[\s._-]*seasons)\b/i;
+const SEASON_NUMBER_REGEX = /\b(?:s\d{1,2}|season[\s._-]*\d{1,2})\b/i;
+const FOLDER_SEASON_REGEX = /\b(?:season|series|saison|staffel|temporada)[\s._-]*(\d{1,2})\b|\bs(\d{1,2})\b(?![\s._]*[-–~])/i;
+
+/**
+ * Seasons covered by a multi-season or complete-series pack.
+ * @param {string} title - Torrent name or folder name.
+ * @returns {{from: number, to: number|null}|null} `to` is null when the pack claims every
+ *   season; null for anything that is not a multi-season pack.
+ */
+export function parsePackSeasons(title) {
+    for (const re of SEASON_RANGE_REGEXES) {
+        const match = re.exec(title);
+        if (!match) continue;
+        const from = parseInt(match[1], 10);
+        const to = parseInt(match[2], 10);
+        if (to > from) return { from, to };
+    }
+    if (COMPLETE_SERIES_REGEX.test(title) && !SEASON_NUMBER_REGEX.test(title)) return { from: 1, to: null };
+    return null;
+}
+
+/**
+ * Season of a file from the nearest folder naming one ("Show/Season 3/x.mkv",
+ * "Show.S01-S05/S03/x.mkv"). Folders naming a range of seasons are skipped.
+ * @param {string} path - File path inside the torrent.
+ * @returns {number|null}
+ */
+export function parseFolderSeason(path) {
+    const folders = path.split('/').slice(0, -1).reverse();
+    for (const folder of folders) {
+        if (parsePackSeasons(folder)) continue;
+        const match = FOLDER_SEASON_REGEX.exec(folder);
+        if (match) return parseInt(match[1] || match[2], 10);
+    }
+    return null;
+}
+
+// Files inside a season folder often carry only their episode number:
+// "05 - Title.mkv", "05.mkv", "Show - 05.mkv", "Show - 05 [1080p].mkv".
+// "720p sample.mkv" and years ("2001 - ...") are not episode numbers.
+const BARE_EPISODE_REGEXES = [
+    /^(\d{1,3})(?=\s*[-._\s])/,
+    /\s-\s(\d{1,3})(?=[\s._[(]|$)/,
+];
+
+/**
+ * Episode number of a file named only by it, or null. Only meaningful once the
+ * season is known from a folder (see parseFolderSeason).
+ * @param {string} fileName - File name without folders.
+ * @returns {number|null}
+ */
+export function parseBareEpisode(fileName) {
+    for (const regex of BARE_EPISODE_REGEXES) {
+        const match = regex.exec(fileName);
+        if (match) return parseInt(match[1], 10);
+    }
+    return null;
+}
+
+// Files holding several episodes: "S02E05E06", "S02E05.E06", "S01E01-E03", "S01E01-03",
+// "S01E01-S01E03", "1x01-1x02", "1x01-02". sanitizeName drops spaced dashes first, so
+// "S01E05 - 10 Things" is not a range.
+const EPISODE_RUN_REGEX = /(?:\bs\d{1,2}\s?e|\b\d{1,2}x)\d{1,3}(?:(?:-|\s?-?e|-s\d{1,2}e|-\d{1,2}x)\d{1,3})+\b/i;
+const EPISODE_RUN_NUMBER_REGEX = /(?:e|x|-(?!\d{1,2}x))(\d{1,3})/gi;
+
+// Every episode from the first to the last of a multi-episode run, or null.
+function parseEpisodeRun(text) {
+    const run = EPISODE_RUN_REGEX.exec(text);
+    if (!run) return null;
+    const numbers = [...run[0].matchAll(EPISODE_RUN_NUMBER_REGEX)].map(match => parseInt(match[1], 10));
+    const from = numbers[0];
+    const to = numbers[numbers.length - 1];
+    if (to <= from) return null;
+    return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+}
+
+// Adds `episodes` to a parse result whose episode starts a multi-episode run.
+function withEpisodeRun(result, text) {
+    const episodes = parseEpisodeRun(text);
+    return episodes && episodes[0] === result.episode ? { ...result, episodes } : result;
+}
+
 // This is the final, rewritten function with a verifiable, multi-gate, return-immediately strategy.
 export function robustParseInfo(title, fallbackSeason = null) {
     const sanitizedTitle = sanitizeName(title);
@@ -51,15 +235,15 @@ export function robustParseInfo(title, fallbackSeason = null) {
     let episode = pttResult.episode;
     
     logger.debug(`[ROBUST-PARSER] Initial PTT for "${sanitizedTitle}": season=${season}, episode=${episode}`);
-    
+
+    const regexSanitized = sanitizedTitle.toLowerCase().replace(/[()\[\]–×]/g, ' ');
+
     // Gate 1: If PTT gets a full result, trust it and exit immediately.
     if (season !== undefined && episode !== undefined) {
         logger.debug(`[ROBUST-PARSER] Gate 1 Success: PTT found both season and episode.`);
-        return { ...pttResult, season, episode };
+        return withEpisodeRun({ ...pttResult, season, episode }, regexSanitized);
     }
 
-    const regexSanitized = sanitizedTitle.toLowerCase().replace(/[()\[\]–×]/g, ' ');
-
     // Gate 2: High-Confidence, Specific Episode Patterns. If matched, exit immediately.
     const highConfidenceRegex = [
         /[sStT](\d{1,2})[._\s-]*[eE](\d{1,2})/i,
@@ -73,7 +257,7 @@ export function robustParseInfo(title, fallbackSeason = null) {
             season = parseInt(match[1], 10);
             episode = parseInt(match[2], 10);
             logger.debug(`[ROBUST-PARSER] Gate 2 Success: High-confidence regex matched S=${season}, E=${episode}.`);
-            return { ...pttResult, season, episode };
+            return withEpisodeRun({ ...pttResult, season, episode }, regexSanitized);
         }
     }
 
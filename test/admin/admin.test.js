@@ -0,0 +1,58 @@
+// File: test/admin/admin.test.js
+// Version: 1.0 – Evicting a torrent from the dashboard drops its debrid cache row
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.ADMIN_TOKEN = 'admin-test-token';
+
+const HASH = 'a'.repeat(40);
+
+describe('admin API', () => {
+  let storage;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    // config.js reads ADMIN_TOKEN on import, so the app modules load after it is set
+    const [{ default: express }, db, { migrateUp }, { createAdminRouter }] = await Promise.all([
+      import('express'), import('../../db.js'), import('../../db/migrator.js'), import('../../src/admin.js'),
+    ]);
+    storage = db.storage;
+    await migrateUp(storage);
+
+    const app = express();
+    app.use('/admin', createAdminRouter());
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/admin`;
+  });
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await storage.close();
+  });
+
+  const api = (path, options = {}) =>
+    fetch(`${baseUrl}/api/${path}`, { ...options, headers: { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` } });
+
+  it('rejects requests without the token', async () => {
+    assert.equal((await fetch(`${baseUrl}/api/summary`)).status, 401);
+  });
+
+  it('evicting a torrent also drops its debrid cache entry', async () => {
+    await storage.saveTorrent({
+      infoHash: HASH, imdbId: 'tt0000001', type: 'movie', provider: 'realdebrid', language: 'en', quality: '1080p', seeders: 5,
+      torrentInfo: { id: 'T1', filename: 'Movie.2020.1080p', files: [] },
+    });
+    await storage.setCacheEntry('realdebrid', HASH, { provider_torrent_id: 'T1', status: 'downloaded' });
+    const [row] = await storage.listTorrents({ provider: 'realdebrid', limit: 10, offset: 0 });
+
+    const res = await api(`torrents/${row.id}`, { method: 'DELETE' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { evicted: row.id });
+
+    assert.equal(await storage.getTorrentById(row.id), null);
+    assert.equal(await storage.getCacheEntry('realdebrid', HASH), null);
+    assert.deepEqual([...await storage.findDownloadedHashes('realdebrid', [HASH])], []);
+  });
+});
@@ -0,0 +1,87 @@
+// File: test/debrid/alldebrid.test.js
+// Version: 1.0 – AllDebrid against a stub of its v4 API
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAllDebrid } from '../../src/debrid/alldebrid.js';
+import { startStub } from '../helpers/httpStub.js';
+import { describeProviderContract } from './providerContract.js';
+
+const HASH = 'b'.repeat(40);
+
+const success = data => ({ status: 'success', data });
+const failure = (code, message) => ({ status: 'error', error: { code, message } });
+
+const magnet = id => ({
+  id,
+  filename: 'Show.S01.1080p',
+  hash: HASH,
+  size: 1000,
+  downloaded: 1000,
+  status: 'Ready',
+  statusCode: 4,
+  links: [{ link: `https://ad.test/l/${id}`, filename: 'Show.S01E01.mkv', size: 1000 }],
+});
+
+const routes = {
+  'GET /magnet/status': ({ query }) => {
+    const id = query.get('id');
+    if (!id) return success({ magnets: [magnet('M1')] });
+    if (id === 'GONE') return failure('MAGNET_INVALID_ID', 'This magnet ID does not exists or is invalid');
+    return success({ magnets: magnet(id) });
+  },
+  'GET /magnet/instant': () => success({ magnets: [{ hash: HASH, instant: true }] }),
+  'GET /link/unlock': ({ query }) => (query.get('link').endsWith('/M2')
+    ? failure('LINK_DOWN', 'This link is not available on the file hoster website')
+    : success({ link: 'https://download.test/ad.mkv', filename: 'Show.S01E01.mkv', filesize: 1000 })),
+};
+
+describeProviderContract('alldebrid', {
+  create: baseUrl => createAllDebrid('key', { baseUrl }),
+  routes,
+  readyId: 'M1',
+  missingId: 'GONE',
+  cachedHash: HASH,
+  fileUrl: 'https://download.test/ad.mkv',
+  deadLinkId: 'M2',
+});
+
+describe('alldebrid errors and file lists', () => {
+  let stub;
+  let provider;
+
+  before(async () => {
+    stub = await startStub({
+      ...routes,
+      'GET /magnet/status': ({ query }) => (query.get('id') === 'NESTED'
+        ? success({
+          magnets: {
+            ...magnet('NESTED'),
+            links: [{ link: 'https://ad.test/l/n', files: [{ n: 'Show.S01', e: [{ n: 'Show.S01E01.mkv', s: 700 }] }] }],
+          },
+        })
+        : routes['GET /magnet/status']({ query })),
+      'GET /magnet/delete': () => failure('AUTH_BAD_APIKEY', 'The auth apikey is invalid'),
+    });
+    provider = createAllDebrid('key', { baseUrl: stub.baseUrl });
+  });
+  after(() => stub.close());
+
+  it('maps LINK_DOWN to LinkUnavailableError, not ResourceNotFoundError', async () => {
+    await assert.rejects(provider.unrestrictLink('https://ad.test/l/M2'), { name: 'LinkUnavailableError', code: 'LINK_DOWN' });
+  });
+
+  it('keeps other API errors as AllDebridApiError', async () => {
+    await assert.rejects(provider.deleteTorrent('M1'), { name: 'AllDebridApiError', code: 'AUTH_BAD_APIKEY' });
+  });
+
+  it('flattens nested file trees into paths', async () => {
+    const info = await provider.getTorrentInfo('NESTED');
+    assert.deepEqual(info.files.map(f => [f.path, f.bytes]), [['Show.S01/Show.S01E01.mkv', 700]]);
+    assert.deepEqual(info.links, ['https://ad.test/l/n']);
+  });
+
+  it('sends the agent with every request', () => {
+    assert.ok(stub.requests.every(r => r.query.get('agent')));
+  });
+});
@@ -0,0 +1,61 @@
+// File: test/debrid/contract.test.js
+// Version: 1.0 – defineProvider and normalizeTorrentInfo
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { defineProvider, normalizeTorrentInfo, ProviderContractError } from '../../src/debrid/contract.js';
+
+const noop = async () => {};
+const minimal = {
+  name: 'fake',
+  shortName: 'FK',
+  isEnabled: true,
+  providerKey: 'fake',
+  addMagnet: noop,
+  getTorrentInfo: noop,
+  selectFiles: noop,
+  unrestrictLink: noop,
+  deleteTorrent: noop,
+  getTorrents: noop,
+  checkCached: noop,
+};
+
+describe('defineProvider', () => {
+  it('rejects providers missing required members', () => {
+    const { checkCached, ...incomplete } = minimal;
+    assert.throws(() => defineProvider(incomplete), ProviderContractError);
+    assert.throws(() => defineProvider({ ...minimal, capabilities: { directFileLinks: true } }), /getDownloadLinkForFile/);
+  });
+
+  it('fills in defaults', () => {
+    const provider = defineProvider(minimal);
+    assert.deepEqual(provider.capabilities, { fileSelection: false, directFileLinks: false, cachedFileLists: false });
+    assert.equal(typeof provider.setup, 'function');
+    assert.equal(typeof provider.getFileUrl, 'function');
+  });
+
+  it('getFileUrl throws LinkUnavailableError when a file has no link', async () => {
+    const provider = defineProvider(minimal);
+    const info = { files: [{ id: 1, selected: 1 }], links: [] };
+    await assert.rejects(provider.getFileUrl(info, info.files[0]), { name: 'LinkUnavailableError' });
+  });
+});
+
+describe('normalizeTorrentInfo', () => {
+  it('rejects statuses outside the contract', () => {
+    assert.throws(() => normalizeTorrentInfo({ status: 'seeding' }, 'fake'), ProviderContractError);
+  });
+
+  it('lowercases hashes, clamps progress and sums file sizes', () => {
+    const info = normalizeTorrentInfo({
+      status: 'downloading',
+      hash: 'ABC',
+      progress: 140,
+      files: [{ id: 1, path: 'a.mkv', bytes: '10', selected: true }, { id: 2, path: 'b.mkv', bytes: 5 }],
+    }, 'fake');
+    assert.equal(info.hash, 'abc');
+    assert.equal(info.progress, 100);
+    assert.equal(info.bytes, 15);
+    assert.deepEqual(info.files.map(f => f.selected), [1, 0]);
+  });
+});
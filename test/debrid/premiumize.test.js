@@ -0,0 +1,77 @@
+// File: test/debrid/premiumize.test.js
+// Version: 1.1 – checkCached lists files for the first cached hashes only
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPremiumize } from '../../src/debrid/premiumize.js';
+import { startStub } from '../helpers/httpStub.js';
+import { describeProviderContract } from './providerContract.js';
+
+const HASH = 'c'.repeat(40);
+const MISSING = 'd'.repeat(40);
+
+const routes = {
+  'GET /transfer/list': () => ({
+    status: 'success',
+    transfers: [{ id: 'tr1', name: 'Show.S01.1080p', src: `magnet:?xt=urn:btih:${HASH}`, status: 'finished', progress: 1 }],
+  }),
+  'POST /transfer/directdl': () => ({
+    status: 'success',
+    content: [{ path: 'Show.S01.1080p/Show.S01E01.mkv', size: 1000, link: 'https://download.test/pm.mkv' }],
+  }),
+  'POST /cache/check': ({ body }) => {
+    const items = new URLSearchParams(body).getAll('items[]');
+    return {
+      status: 'success',
+      response: items.map(hash => hash === HASH),
+      filename: items.map(() => 'Show.S01.1080p'),
+      filesize: items.map(() => '1000'),
+    };
+  },
+};
+
+describeProviderContract('premiumize', {
+  create: baseUrl => createPremiumize('key', { baseUrl }),
+  routes,
+  readyId: HASH,
+  missingId: MISSING,
+  cachedHash: HASH,
+  fileUrl: 'https://download.test/pm.mkv',
+});
+
+describe('premiumize file lists', () => {
+  let stub;
+  let provider;
+  const directdlCalls = () => stub.requests.filter(r => r.path === '/transfer/directdl').length;
+
+  before(async () => {
+    stub = await startStub(routes);
+    provider = createPremiumize('key', { baseUrl: stub.baseUrl });
+  });
+  after(() => stub.close());
+
+  it('checkCached makes one cache/check and lists files of the first cached hashes only', async () => {
+    const cached = Array.from({ length: 8 }, (_, i) => String(i).padStart(40, 'c'));
+    const hashes = [...cached, ...Array.from({ length: 20 }, (_, i) => String(i).padStart(40, '0'))];
+    stub.route('POST /cache/check', ({ body }) => {
+      const items = new URLSearchParams(body).getAll('items[]');
+      return { status: 'success', response: items.map(h => cached.includes(h)), filename: [], filesize: [] };
+    });
+    const result = await provider.checkCached(hashes);
+    stub.route('POST /cache/check', routes['POST /cache/check']);
+
+    assert.equal(stub.requests.filter(r => r.path === '/cache/check').length, 1);
+    assert.equal(directdlCalls(), 5);
+    assert.deepEqual(result[cached[0]].files, [{ id: 0, name: 'Show.S01.1080p/Show.S01E01.mkv', size: 1000 }]);
+    assert.equal(result[cached[0]].torrent_id, cached[0]);
+    assert.equal(result[cached[7]].cached, true);
+    assert.equal(result[cached[7]].torrent_id, undefined);
+  });
+
+  it('lists files once for a played torrent', async () => {
+    const before = directdlCalls();
+    const info = await provider.getTorrentInfo(HASH);
+    await provider.getFileUrl(info, info.files[0]);
+    assert.equal(directdlCalls() - before, 1);
+  });
+});
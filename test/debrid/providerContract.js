@@ -0,0 +1,99 @@
+// File: test/debrid/providerContract.js
+// Version: 1.0 – Conformance suite every debrid provider runs against its stub API
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { TORRENT_STATUSES } from '../../src/debrid/contract.js';
+import { startStub } from '../helpers/httpStub.js';
+
+/**
+ * Runs the provider contract (src/debrid/contract.js) against a stub of the provider's API.
+ * @param {string} name - Provider name, as in SUPPORTED_DEBRID_SERVICES.
+ * @param {object} spec
+ * @param {Function} spec.create - (baseUrl) → provider instance pointed at the stub.
+ * @param {object} spec.routes - Stub routes (see startStub).
+ * @param {string|number} spec.readyId - A downloaded torrent the stub knows.
+ * @param {string|number} spec.missingId - An id the stub answers "not found" for.
+ * @param {string} spec.cachedHash - A hash the stub reports cached.
+ * @param {string} spec.fileUrl - Playable URL the stub returns for readyId's first file.
+ * @param {string|number} [spec.deadLinkId] - A downloaded torrent whose link the stub
+ *   reports dead; omitted for providers whose links cannot expire.
+ */
+export function describeProviderContract(name, spec) {
+  describe(`${name} provider contract`, () => {
+    let stub;
+    let provider;
+
+    before(async () => {
+      stub = await startStub(spec.routes);
+      provider = spec.create(stub.baseUrl);
+    });
+    after(() => stub.close());
+
+    it('exposes the contract members', () => {
+      assert.equal(provider.name, name);
+      assert.ok(provider.shortName);
+      assert.equal(provider.isEnabled, true);
+      for (const method of ['addMagnet', 'getTorrentInfo', 'selectFiles', 'unrestrictLink', 'deleteTorrent', 'getTorrents', 'checkCached', 'getFileUrl']) {
+        assert.equal(typeof provider[method], 'function', method);
+      }
+      assert.deepEqual(Object.keys(provider.capabilities).sort(), ['cachedFileLists', 'directFileLinks', 'fileSelection']);
+    });
+
+    it('normalizes torrent info', async () => {
+      const info = await provider.getTorrentInfo(spec.readyId);
+      assert.equal(info.status, 'downloaded');
+      assert.ok(TORRENT_STATUSES.includes(info.status));
+      assert.equal(info.hash, info.hash?.toLowerCase());
+      assert.ok(info.files.length > 0);
+      for (const file of info.files) {
+        assert.ok(file.path, 'file path');
+        assert.equal(typeof file.bytes, 'number');
+        assert.ok(file.selected === 0 || file.selected === 1);
+      }
+      assert.ok(info.progress >= 0 && info.progress <= 100);
+    });
+
+    it('throws ResourceNotFoundError for unknown torrents', async () => {
+      await assert.rejects(provider.getTorrentInfo(spec.missingId), { name: 'ResourceNotFoundError' });
+    });
+
+    it('lists torrents with contract statuses', async () => {
+      const list = await provider.getTorrents();
+      assert.ok(list.length > 0);
+      for (const torrent of list) {
+        assert.ok(torrent.id !== undefined && torrent.id !== null);
+        assert.ok(TORRENT_STATUSES.includes(torrent.status), torrent.status);
+      }
+    });
+
+    it('reports cached hashes', async () => {
+      const other = 'f'.repeat(40);
+      const result = await provider.checkCached([spec.cachedHash, other]);
+      assert.equal(result[spec.cachedHash].cached, true);
+      assert.equal(result[other].cached, false);
+    });
+
+    it('checkCached never throws when the API fails', async () => {
+      const down = await startStub();
+      try {
+        const result = await spec.create(down.baseUrl).checkCached([spec.cachedHash]);
+        assert.equal(result[spec.cachedHash].cached, false);
+      } finally {
+        await down.close();
+      }
+    });
+
+    it('resolves a playable URL for a file', async () => {
+      const info = await provider.getTorrentInfo(spec.readyId);
+      assert.equal(await provider.getFileUrl(info, info.files[0]), spec.fileUrl);
+    });
+
+    if (spec.deadLinkId !== undefined) {
+      it('throws LinkUnavailableError for a dead link', async () => {
+        const info = await provider.getTorrentInfo(spec.deadLinkId);
+        await assert.rejects(provider.getFileUrl(info, info.files[0]), { name: 'LinkUnavailableError' });
+      });
+    }
+  });
+}
@@ -0,0 +1,38 @@
+// File: test/debrid/providerSelection.test.js
+// Version: 1.0 – A service the user picks without a key does not run on the server key
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.TORBOX_API_KEY = 'server-key';
+process.env.DEBRID_SERVICE = 'torbox';
+
+describe('debrid provider selection', () => {
+  let getDebridProviders;
+  let resolveSettings;
+  let servicesWithoutKey;
+
+  before(async () => {
+    // config.js reads the keys on import, so the modules load after they are set
+    ({ getDebridProviders } = await import('../../src/debrid/index.js'));
+    ({ resolveSettings, servicesWithoutKey } = await import('../../src/userConfig.js'));
+  });
+
+  it('uses the server key for installs on the server default', () => {
+    const [provider] = getDebridProviders(resolveSettings(null));
+    assert.equal(provider.providerKey, 'torbox');
+  });
+
+  it('disables a picked service left without a key', () => {
+    const settings = resolveSettings({ debridService: 'torbox' });
+    assert.deepEqual(servicesWithoutKey(settings), ['torbox']);
+    assert.deepEqual(getDebridProviders(settings), []);
+  });
+
+  it('runs a picked service on the user key', () => {
+    const settings = resolveSettings({ debridService: 'torbox', torboxApiKey: 'user-key' });
+    assert.deepEqual(servicesWithoutKey(settings), []);
+    const [provider] = getDebridProviders(settings);
+    assert.match(provider.providerKey, /^torbox:[0-9a-f]{16}$/);
+  });
+});
@@ -0,0 +1,99 @@
+// File: test/debrid/realdebrid.test.js
+// Version: 1.3 – History-only hashes are not free to resolve (prefetch skips them)
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRealDebrid } from '../../src/debrid/realdebrid.js';
+import { canResolveWithoutAdding } from '../../src/debrid/utils.js';
+import { startStub } from '../helpers/httpStub.js';
+import { describeProviderContract } from './providerContract.js';
+
+const HASH = 'a'.repeat(40);
+
+const torrent = (id, link) => ({
+  id,
+  filename: 'Show.S01.1080p',
+  hash: HASH.toUpperCase(),
+  bytes: 1000,
+  status: 'downloaded',
+  progress: 100,
+  files: [{ id: 1, path: '/Show.S01E01.mkv', bytes: 1000, selected: 1 }],
+  links: [link],
+});
+
+export const routes = {
+  'GET /torrents/info/T1': () => torrent('T1', 'https://rd.test/d/live'),
+  'GET /torrents/info/T2': () => torrent('T2', 'https://rd.test/d/dead'),
+  'GET /torrents/info/GONE': () => [404, { error: 'unknown_ressource', error_code: 7 }],
+  'GET /torrents': () => [{ id: 'T1', hash: HASH, filename: 'Show.S01.1080p', status: 'downloaded' }],
+  'GET /torrents/instantAvailability/*': () => ({}),
+  'POST /unrestrict/link': ({ body }) => (decodeURIComponent(body).includes('/dead')
+    ? [503, { error: 'unavailable_file', error_code: 24 }]
+    : { download: 'https://download.test/rd.mkv' }),
+};
+
+describeProviderContract('realdebrid', {
+  create: baseUrl => createRealDebrid('key', { baseUrl }),
+  routes,
+  readyId: 'T1',
+  missingId: 'GONE',
+  cachedHash: HASH,
+  fileUrl: 'https://download.test/rd.mkv',
+  deadLinkId: 'T2',
+});
+
+describe('realdebrid checkCached history', () => {
+  const OLD = 'f'.repeat(40);
+  const DELETED = '9'.repeat(40);
+  const history = { findDownloaded: async hashes => new Set(hashes.filter(h => h === OLD || h === DELETED)) };
+  const listing = count => Array.from({ length: count }, (_, i) => (
+    { id: `L${i}`, hash: i === 0 ? HASH : String(i).padStart(40, '1'), filename: 'x', status: 'downloaded' }
+  ));
+  let stub;
+  let provider;
+
+  before(async () => {
+    stub = await startStub(routes);
+    provider = createRealDebrid('key', { baseUrl: stub.baseUrl });
+    provider.setup(history);
+  });
+  after(() => stub.close());
+
+  it('ignores history when the account listing is complete', async () => {
+    stub.route('GET /torrents', () => listing(3));
+    const result = await provider.checkCached([HASH, DELETED]);
+    assert.equal(result[HASH].source, 'account');
+    assert.equal(result[DELETED].cached, false);
+  });
+
+  it('uses history for hashes beyond a full listing', async () => {
+    stub.route('GET /torrents', ({ query }) => listing(Number(query.get('limit'))));
+    const result = await provider.checkCached([OLD, 'e'.repeat(40)]);
+    assert.equal(result[OLD].source, 'history');
+    assert.equal(result['e'.repeat(40)].cached, false);
+  });
+
+  it('does not count a history hit as resolvable without adding the magnet', async () => {
+    stub.route('GET /torrents', ({ query }) => listing(Number(query.get('limit')) || 3));
+    assert.equal((await provider.checkCached([OLD]))[OLD].cached, true);
+    assert.equal(await canResolveWithoutAdding(provider, OLD), false);
+    assert.equal(await canResolveWithoutAdding(provider, HASH), true);
+  });
+
+  it('limits only the checkCached listing, not getTorrents()', async () => {
+    const limits = [];
+    stub.route('GET /torrents', ({ query }) => {
+      limits.push(query.get('limit'));
+      return listing(3);
+    });
+    await provider.getTorrents();
+    await provider.checkCached([HASH]);
+    assert.deepEqual(limits, [null, '100']);
+  });
+
+  it('trusts no history when the account cannot be listed', async () => {
+    stub.route('GET /torrents', () => [503, { error: 'service_unavailable' }]);
+    const result = await provider.checkCached([OLD]);
+    assert.equal(result[OLD].cached, false);
+  });
+});
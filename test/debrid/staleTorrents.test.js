@@ -0,0 +1,35 @@
+// File: test/debrid/staleTorrents.test.js
+// Version: 1.0 – isTorrentGone only evicts missing or failed torrents
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isTorrentGone } from '../../src/debrid/staleTorrents.js';
+import { ResourceNotFoundError, DebridError } from '../../src/debrid/contract.js';
+
+const providerWith = (getTorrentInfo) => ({ getTorrentInfo: async (id) => getTorrentInfo(id) });
+
+describe('isTorrentGone', () => {
+  for (const status of ['waiting_files_selection', 'downloading', 'downloaded']) {
+    it(`keeps a ${status} torrent`, async () => {
+      assert.equal(await isTorrentGone(providerWith(() => ({ status })), 'T1'), false);
+    });
+  }
+
+  it('evicts a failed torrent', async () => {
+    assert.equal(await isTorrentGone(providerWith(() => ({ status: 'error' })), 'T1'), true);
+  });
+
+  it('evicts a torrent the provider no longer has', async () => {
+    const gone = providerWith(() => { throw new ResourceNotFoundError('gone', { provider: 'x' }); });
+    assert.equal(await isTorrentGone(gone, 'T1'), true);
+  });
+
+  it('keeps the torrent when the provider is down', async () => {
+    const down = providerWith(() => { throw new DebridError('503', { provider: 'x', status: 503 }); });
+    assert.equal(await isTorrentGone(down, 'T1'), false);
+  });
+
+  it('ignores rows without a provider torrent id', async () => {
+    assert.equal(await isTorrentGone(providerWith(() => ({ status: 'error' })), null), false);
+  });
+});
@@ -0,0 +1,36 @@
+// File: test/debrid/torbox.test.js
+// Version: 1.0 – TorBox against a stub of its v1 API
+
+import { createTorbox } from '../../src/debrid/torbox.js';
+import { describeProviderContract } from './providerContract.js';
+
+const HASH = 'e'.repeat(40);
+
+const torrent = {
+  id: 7,
+  hash: HASH,
+  name: 'Show.S01.1080p',
+  size: 1000,
+  download_state: 'completed',
+  progress: 1,
+  files: [{ id: 0, name: 'Show.S01.1080p/Show.S01E01.mkv', size: 1000 }],
+};
+
+const routes = {
+  'GET /torrents/mylist': ({ query }) => {
+    const id = query.get('id');
+    if (!id) return { data: [torrent] };
+    return id === '7' ? { data: torrent } : [404, { detail: 'Torrent not found' }];
+  },
+  'GET /torrents/requestdl': () => ({ data: 'https://download.test/tb.mkv' }),
+  'POST /torrents/checkcached': () => ({ data: { [HASH]: { id: 7, name: torrent.name, size: 1000, files: [] } } }),
+};
+
+describeProviderContract('torbox', {
+  create: baseUrl => createTorbox('key', { baseUrl }),
+  routes,
+  readyId: 7,
+  missingId: 404,
+  cachedHash: HASH,
+  fileUrl: 'https://download.test/tb.mkv',
+});
@@ -0,0 +1,21 @@
+// File: test/debrid/utils.test.js
+// Version: 1.0 – Polling timeouts are recognisable by error type
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { pollTorrentUntilReady } from '../../src/debrid/utils.js';
+
+describe('pollTorrentUntilReady', () => {
+  it('returns the info once the torrent is downloaded', async () => {
+    let calls = 0;
+    const info = await pollTorrentUntilReady('T1', async () => ({ status: ++calls < 2 ? 'downloading' : 'downloaded' }), { intervalMs: 1 });
+    assert.equal(info.status, 'downloaded');
+  });
+
+  it('throws TorrentTimeoutError when the torrent is still downloading', async () => {
+    await assert.rejects(
+      pollTorrentUntilReady('T1', async () => ({ status: 'downloading' }), { maxAttempts: 2, intervalMs: 1 }),
+      { name: 'TorrentTimeoutError' },
+    );
+  });
+});
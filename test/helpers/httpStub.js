@@ -0,0 +1,54 @@
+// File: test/helpers/httpStub.js
+// Version: 1.0 – Local HTTP server standing in for a provider API
+
+import http from 'http';
+
+/**
+ * Starts a stub API on a random local port.
+ * @param {Object<string, Function>} routes - 'GET /path' (or 'GET /prefix/*') →
+ *   handler(req) returning a JSON body, or [status, body] with a numeric status. req is
+ *   { method, path, query: URLSearchParams, body: string }.
+ * @returns {Promise<{baseUrl: string, requests: object[], route: Function, close: Function}>}
+ *   Unknown routes answer 404; every request is recorded in `requests`.
+ */
+export async function startStub(routes = {}) {
+  const table = { ...routes };
+  const requests = [];
+
+  function findHandler(method, path) {
+    if (table[`${method} ${path}`]) return table[`${method} ${path}`];
+    const prefix = Object.keys(table).find(key => key.endsWith('/*') && `${method} ${path}`.startsWith(key.slice(0, -1)));
+    return prefix ? table[prefix] : null;
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://stub');
+      const entry = { method: req.method, path: url.pathname, query: url.searchParams, body };
+      requests.push(entry);
+      const handler = findHandler(req.method, url.pathname);
+      let status = 404;
+      let payload = { error: 'no stub route' };
+      if (handler) {
+        const out = await handler(entry);
+        [status, payload] = Array.isArray(out) && typeof out[0] === 'number' ? out : [200, out];
+      }
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    route(key, handler) { table[key] = handler; },
+    close() {
+      // Keep-alive sockets from the client would otherwise hold close() open
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
@@ -0,0 +1,56 @@
+// File: test/matcher/absoluteBatch.test.js
+// Version: 1.0 – Absolute batch ranges are packs only with more than one video file
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStub } from '../helpers/httpStub.js';
+
+const BATCH = '[Group] Show - 01-12 [1080p]';
+
+const torrent = (filesStatus) => ({
+  infoHash: 'b'.repeat(40),
+  seeders: 1,
+  languages: [],
+  videoResolution: 'V1080p',
+  torrent: { name: BATCH, size: 1, hasFilesInfo: true, filesStatus },
+});
+
+const videoFile = (index, path) => ({ index, path, fileType: 'video' });
+
+describe('absolute batch ranges', () => {
+  let stub;
+  let files;
+  let findBestSeriesStreams;
+
+  before(async () => {
+    stub = await startStub({ 'POST /graphql': () => ({ data: { torrent: { files: { items: files } } } }) });
+    // config.js reads the endpoint on import, so the matcher loads after it is set
+    process.env.BITMAGNET_GRAPHQL_ENDPOINT = `${stub.baseUrl}/graphql`;
+    ({ findBestSeriesStreams } = await import('../../src/matcher.js'));
+  });
+  after(() => stub.close());
+
+  async function decide(filesStatus) {
+    const trace = [];
+    const { streams } = await findBestSeriesStreams({ name: 'Show' }, 1, 5, 5, null, [torrent(filesStatus)], [], ['en'], trace);
+    return { reason: trace[0].reason, streams };
+  }
+
+  it('rejects a single-file torrent named as a batch', async () => {
+    const { reason, streams } = await decide('single');
+    assert.equal(reason, 'single_file_range');
+    assert.deepEqual(streams, []);
+  });
+
+  it('rejects a multi-file batch holding one video file', async () => {
+    files = [videoFile(0, 'Show - 01-12 [1080p].mkv'), { index: 1, path: 'Show.nfo', fileType: 'text' }];
+    assert.equal((await decide('multi')).reason, 'single_file_range');
+  });
+
+  it('picks the episode from a batch with one file per episode', async () => {
+    files = Array.from({ length: 12 }, (_, i) => videoFile(i, `[Group] Show - ${String(i + 1).padStart(2, '0')} [1080p].mkv`));
+    const { reason, streams } = await decide('multi');
+    assert.equal(reason, 'pack_file');
+    assert.equal(streams[0].fileIndex, 4);
+  });
+});
@@ -0,0 +1,35 @@
+// File: test/matcher/airDate.test.js
+// Version: 1.0 – Daily shows: air dates only decide for releases without SxxEyy
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { findBestSeriesStreams } from '../../src/matcher.js';
+
+const torrent = (name, i) => ({
+  infoHash: String(i).padStart(40, '0'),
+  seeders: 1,
+  languages: [],
+  videoResolution: 'V1080p',
+  torrent: { name, size: 1, hasFilesInfo: true, filesStatus: 'single' },
+});
+
+async function reasonFor(name) {
+  const trace = [];
+  await findBestSeriesStreams({ name: 'The Daily Show' }, 31, 5, null, '2026-10-18', [torrent(name, 1)], [], ['en'], trace);
+  return trace[0].reason;
+}
+
+describe('air date matching', () => {
+  it('accepts a release named with the air date', async () => {
+    assert.equal(await reasonFor('The Daily Show 2026.10.18 1080p'), 'air_date');
+  });
+
+  it('rejects a release named with another date', async () => {
+    assert.equal(await reasonFor('The Daily Show 2026.10.17 1080p'), 'wrong_episode');
+  });
+
+  it('lets season and episode numbers decide over a date', async () => {
+    assert.equal(await reasonFor('The Daily Show S31E05 2025.01.01'), 'episode_name');
+    assert.equal(await reasonFor('The Daily Show S31 2025.01.01 1080p'), 'single_file_pack');
+  });
+});
@@ -0,0 +1,26 @@
+// File: test/matcher/fileMatchesEpisode.test.js
+// Version: 1.0 – Picking an episode's file inside season and multi-season packs
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileMatchesEpisode } from '../../src/matcher.js';
+
+describe('fileMatchesEpisode', () => {
+  it('matches a file named with season and episode', () => {
+    assert.equal(fileMatchesEpisode('Show S01-S05/Show.S03E05.mkv', null, 3, 5), true);
+    assert.equal(fileMatchesEpisode('Show S01-S05/Show.S03E05.mkv', null, 3, 6), false);
+  });
+
+  for (const name of ['Show - 05.mkv', '05 - Title.mkv', '05.mkv', 'Show - 05 [1080p].mkv']) {
+    it(`takes the season from the folder for "${name}"`, () => {
+      assert.equal(fileMatchesEpisode(`Show S01-S05/Season 3/${name}`, null, 3, 5), true);
+      assert.equal(fileMatchesEpisode(`Show S01-S05/Season 3/${name}`, null, 3, 6), false);
+      assert.equal(fileMatchesEpisode(`Show S01-S05/Season 2/${name}`, null, 3, 5), false);
+    });
+  }
+
+  it('does not read resolutions or years as episode numbers', () => {
+    assert.equal(fileMatchesEpisode('Show S01-S05/Season 3/720p sample.mkv', null, 3, 72), false);
+    assert.equal(fileMatchesEpisode('Show S01-S05/Season 3/2001 - Title.mkv', null, 3, 200), false);
+  });
+});
@@ -0,0 +1,49 @@
+// File: test/preparing/preparingVideo.test.js
+// Version: 1.0 – The generated placeholder is a well-formed, streamable MP4
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderPreparingClip } from '../../src/preparingVideo.js';
+
+// Top-level boxes as [type, offset, size]
+function topLevelBoxes(buffer) {
+  const boxes = [];
+  for (let offset = 0; offset < buffer.length;) {
+    const size = buffer.readUInt32BE(offset);
+    boxes.push([buffer.toString('latin1', offset + 4, offset + 8), offset, size]);
+    offset += size;
+  }
+  return boxes;
+}
+
+describe('renderPreparingClip', () => {
+  it('puts moov before mdat and points the chunk offset at the first sample', () => {
+    const clip = renderPreparingClip(42);
+    const boxes = topLevelBoxes(clip);
+    assert.deepEqual(boxes.map(([type]) => type), ['ftyp', 'moov', 'mdat']);
+    assert.equal(boxes.reduce((sum, [, , size]) => sum + size, 0), clip.length);
+
+    const [, mdatOffset] = boxes[2];
+    const stco = clip.indexOf('stco', 0, 'latin1');
+    assert.equal(clip.readUInt32BE(stco + 12), mdatOffset + 8);
+    // First sample: an IDR slice (NAL type 5)
+    assert.equal(clip[mdatOffset + 12] & 0x1f, 5);
+  });
+
+  it('lists samples that fill mdat exactly', () => {
+    const clip = renderPreparingClip(42);
+    const [, , mdatSize] = topLevelBoxes(clip)[2];
+    const stsz = clip.indexOf('stsz', 0, 'latin1');
+    const count = clip.readUInt32BE(stsz + 12);
+    let total = 0;
+    for (let i = 0; i < count; i++) total += clip.readUInt32BE(stsz + 16 + i * 4);
+    assert.equal(total, mdatSize - 8);
+  });
+
+  it('draws each progress value into its own clip and reuses it', () => {
+    assert.notDeepEqual(renderPreparingClip(10), renderPreparingClip(90));
+    assert.equal(renderPreparingClip(42.4), renderPreparingClip(42));
+    assert.equal(renderPreparingClip(250), renderPreparingClip(100));
+    assert.ok(renderPreparingClip(null).length > 0);
+  });
+});
@@ -0,0 +1,9 @@
+// File: test/setup.js
+// Version: 1.0 – Environment for the test run (loaded with --import before any test file)
+
+// config.js refuses to load without these. Tests never reach the real services:
+// providers and storage get local stubs or an in-memory SQLite database.
+process.env.TMDB_API_KEY ??= 'test';
+process.env.BITMAGNET_GRAPHQL_ENDPOINT ??= 'http://127.0.0.1:1/graphql';
+process.env.DATABASE_URL ??= 'sqlite::memory:';
+process.env.LOG_LEVEL ??= 'error';
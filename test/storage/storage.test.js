@@ -0,0 +1,21 @@
+// File: test/storage/storage.test.js
+// Version: 1.1 – npm run test:postgres fails instead of skipping without TEST_DATABASE_URL
+
+import { createSqliteStorage } from '../../src/storage/sqlite.js';
+import { createPostgresStorage } from '../../src/storage/postgres.js';
+import { describeStorageContract } from './storageContract.js';
+
+describeStorageContract('sqlite', {
+  create: () => createSqliteStorage(':memory:'),
+});
+
+// Point TEST_DATABASE_URL at a throwaway database: migrations are applied to it.
+// npm test skips the suite without it; npm run test:postgres refuses to.
+if (process.env.npm_lifecycle_event === 'test:postgres' && !process.env.TEST_DATABASE_URL) {
+  throw new Error('npm run test:postgres needs TEST_DATABASE_URL pointing at a throwaway Postgres database.');
+}
+
+describeStorageContract('postgres', {
+  create: () => createPostgresStorage(process.env.TEST_DATABASE_URL),
+  skip: !process.env.TEST_DATABASE_URL && 'TEST_DATABASE_URL is not set',
+});
@@ -0,0 +1,152 @@
+// File: test/storage/storageContract.js
+// Version: 1.0 – Shared suite every storage backend must pass
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { migrateUp, getMigrationStatus } from '../../db/migrator.js';
+
+/**
+ * Runs the storage contract (src/storage/contract.js) against one backend.
+ * Keys are unique per run, so a shared test database can be reused.
+ * @param {string} name - Suite name.
+ * @param {object} options
+ * @param {Function} options.create - () => storage backend.
+ * @param {boolean|string} [options.skip] - Passed to describe().
+ */
+export function describeStorageContract(name, { create, skip = false }) {
+  describe(`${name} storage contract`, { skip }, () => {
+    const run = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    const provider = `test-${run}`;
+    const hash = (n) => `${run}${String(n).padStart(40 - run.length, '0')}`;
+    const imdbId = `tt-${run}`;
+    const torrentInfo = (id, filename = 'Show.S01.1080p') => ({ id, filename, files: [{ id: 1, path: 'Show.S01E01.mkv' }] });
+    let storage;
+
+    before(async () => {
+      storage = create();
+      await migrateUp(storage);
+    });
+    after(() => storage.close());
+
+    it('has every migration applied', async () => {
+      const { pending, current, latest } = await getMigrationStatus(storage);
+      assert.deepEqual(pending, []);
+      assert.equal(current, latest);
+    });
+
+    it('saves torrents and finds them by title, decoding torrent info', async () => {
+      const torrent = { infoHash: hash(1), imdbId, type: 'series', provider, language: 'en', quality: '1080p', seeders: 5 };
+      await storage.saveTorrent({ ...torrent, torrentInfo: torrentInfo('T1') });
+      await storage.saveTorrent({ ...torrent, torrentInfo: torrentInfo('T1', 'Renamed') });
+      assert.deepEqual(await storage.findTorrentInfo(torrent), torrentInfo('T1', 'Renamed'));
+
+      const rows = await storage.findTorrentsForTitle(imdbId, 'series', [provider, 'other']);
+      assert.equal(rows.length, 1);
+      assert.equal(rows[0].torrent_info_json.filename, 'Renamed');
+      assert.deepEqual(await storage.findTorrentsForTitle(imdbId, 'series', ['other']), []);
+      assert.equal(await storage.findTorrentInfo({ ...torrent, provider: 'other' }), null);
+    });
+
+    it('stores debrid cache entries with JSON data', async () => {
+      await storage.setCacheEntry(provider, hash(2), { provider_torrent_id: 99, status: 'active', extra: { a: 1 } });
+      let entry = await storage.getCacheEntry(provider, hash(2));
+      assert.equal(entry.provider_torrent_id, '99');
+      assert.deepEqual(entry.data, { a: 1 });
+
+      await storage.updateCacheEntry(provider, hash(2), { status: 'downloaded' });
+      entry = await storage.getCacheEntryByProviderId(provider, '99');
+      assert.equal(entry.hash, hash(2));
+      assert.equal(entry.status, 'downloaded');
+
+      await storage.deleteCacheEntry(provider, hash(2));
+      assert.equal(await storage.getCacheEntry(provider, hash(2)), null);
+    });
+
+    it('finds downloaded hashes from torrents and the debrid cache, ignoring case', async () => {
+      await storage.setCacheEntry(provider, hash(3), { provider_torrent_id: 'C3', status: 'downloaded' });
+      await storage.setCacheEntry(provider, hash(4), { provider_torrent_id: 'C4', status: 'active' });
+      const found = await storage.findDownloadedHashes(provider, [hash(1), hash(3), hash(4)].map(h => h.toUpperCase()));
+      assert.deepEqual([...found].sort(), [hash(1), hash(3)]);
+    });
+
+    it('lets one owner claim a resolve job until it expires', async () => {
+      const lockKey = `${provider}:${hash(5)}`;
+      assert.equal(await storage.claimJob(lockKey, 'a', 60000), true);
+      assert.equal(await storage.claimJob(lockKey, 'b', 60000), false);
+
+      await storage.setJobProgress(lockKey, 'a', 42);
+      await storage.setJobProgress(lockKey, 'b', 99);
+      assert.deepEqual(await storage.getProcessingProgress([lockKey]), [{ lock_key: lockKey, progress: 42 }]);
+
+      await storage.completeJob(lockKey, 'a', torrentInfo('T5'), 60000);
+      const job = await storage.getJob(lockKey);
+      assert.equal(job.state, 'COMPLETED');
+      assert.deepEqual(job.torrent_info_json, torrentInfo('T5'));
+      assert.deepEqual(await storage.getProcessingProgress([lockKey]), []);
+
+      const expiring = `${provider}:${hash(6)}`;
+      await storage.claimJob(expiring, 'a', -1000);
+      assert.equal(await storage.getJob(expiring), null);
+      assert.equal(await storage.claimJob(expiring, 'b', 60000), true);
+      await storage.failJob(expiring, 'b', 'boom', 60000);
+      assert.equal((await storage.getJob(expiring)).error, 'boom');
+      await storage.releaseJob(expiring, 'a');
+      assert.notEqual(await storage.getJob(expiring), null);
+      await storage.releaseJob(expiring, 'b');
+      assert.equal(await storage.getJob(expiring), null);
+    });
+
+    it('keeps resolved URLs until they expire', async () => {
+      const lockKey = `${provider}:${hash(7)}`;
+      await storage.saveResolvedUrl(lockKey, 'series:tt1:1:1', 'https://a.test/1', 60000);
+      await storage.saveResolvedUrl(lockKey, 'series:tt1:1:1', 'https://a.test/2', 60000);
+      await storage.saveResolvedUrl(lockKey, 'series:tt1:1:2', 'https://a.test/old', -1000);
+      assert.equal(await storage.getResolvedUrl(lockKey, 'series:tt1:1:1'), 'https://a.test/2');
+      assert.equal(await storage.getResolvedUrl(lockKey, 'series:tt1:1:2'), null);
+      await storage.deleteResolvedUrls(lockKey);
+      assert.equal(await storage.getResolvedUrl(lockKey, 'series:tt1:1:1'), null);
+    });
+
+    it('lists GC candidates and evicts every trace of a hash', async () => {
+      const candidates = await storage.findGcCandidates(provider, 100);
+      assert.ok(candidates.some(c => c.hash === hash(1) && c.provider_torrent_id === 'T1'));
+      assert.ok(candidates.some(c => c.hash === hash(3) && c.provider_torrent_id === 'C3'));
+
+      const lockKey = `${provider}:${hash(1)}`;
+      await storage.claimJob(lockKey, 'a', 60000);
+      await storage.completeJob(lockKey, 'a', torrentInfo('T1'), 60000);
+      await storage.saveResolvedUrl(lockKey, 'series:tt1:1:1', 'https://a.test/1', 60000);
+      await storage.setCacheEntry(provider, hash(1), { provider_torrent_id: 'T1', status: 'downloaded' });
+
+      assert.deepEqual(await storage.evictHash(provider, hash(1).toUpperCase()), { torrents: 1, debridCache: 1 });
+      assert.equal(await storage.getJob(lockKey), null);
+      assert.equal(await storage.getResolvedUrl(lockKey, 'series:tt1:1:1'), null);
+      assert.deepEqual([...await storage.findDownloadedHashes(provider, [hash(1)])], []);
+    });
+
+    it('serves the admin dashboard queries', async () => {
+      const torrent = { infoHash: hash(8), imdbId, type: 'movie', provider, language: 'en', quality: '720p', seeders: 1 };
+      await storage.saveTorrent({ ...torrent, torrentInfo: torrentInfo('T8', `Admin ${run}`) });
+
+      const [listed] = await storage.listTorrents({ title: `admin ${run}`, provider, limit: 10, offset: 0 });
+      assert.equal(listed.filename, `Admin ${run}`);
+      assert.equal(listed.provider_torrent_id, 'T8');
+      assert.equal(typeof listed.id, 'number');
+
+      await storage.updateTorrentInfo(listed.id, torrentInfo('T9'));
+      assert.equal((await storage.getTorrentById(listed.id)).torrent_info_json.id, 'T9');
+      await storage.deleteTorrentById(listed.id);
+      assert.equal(await storage.getTorrentById(listed.id), null);
+
+      const summary = await storage.getSummary();
+      const mine = summary.debridCache.filter(r => r.provider === provider);
+      assert.deepEqual(mine.map(r => [r.status, r.count]), [['active', 1], ['downloaded', 1]]);
+
+      const [entry] = await storage.listCacheEntries({ provider, status: 'active', limit: 10, offset: 0 });
+      assert.equal(entry.hash, hash(4));
+      assert.equal(await storage.deleteCacheEntryById(entry.id), true);
+      assert.equal(await storage.deleteCacheEntryById(entry.id), false);
+      assert.ok(Array.isArray(await storage.listJobs()));
+    });
+  });
+}